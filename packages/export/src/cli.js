@@ -28,6 +28,8 @@ program
     .option('-l, --languages <codes>', 'comma-separated list of language codes (e.g., "en,es,fr"). If not specified, exports all content regardless of language')
     .option('-m, --multiple-files', 'export each post/page as individual file instead of single JSON', false)
     .option('-s, --status <statuses>', 'comma-separated list of post statuses to export (e.g., "publish,draft,private"). Options: publish, draft, private, pending, future, all. Default: all', 'all')
+    .option('-i, --incremental', 'only export content modified since the last export, merged into the existing export', false)
+    .option('--modified-after <date>', 'only export content modified after this ISO 8601 date, merged into the existing export')
     .helpOption('-h, --help', 'display help for command')
     .addHelpText('after', `
 Examples:
@@ -37,6 +39,8 @@ Examples:
   $ npm run export --status "publish,draft"
   $ npm run export --status "draft"
   $ npm run export --languages "en,de" --multiple-files --status "publish"
+  $ npm run export --languages "en,es" --incremental
+  $ npm run export --modified-after "2025-01-01T00:00:00Z"
 
 Environment Variables:
   WORDPRESS_URL        WordPress site URL (default: http://localhost:8080)
@@ -60,6 +64,8 @@ async function main() {
             languages,
             multipleFiles: options.multipleFiles,
             status: options.status,
+            incremental: options.incremental,
+            modifiedAfter: options.modifiedAfter,
             wordpressUrl: WORDPRESS_BASE_URL,
             outputDir: EXPORT_OUTPUT_DIR
         };
@@ -72,6 +78,7 @@ async function main() {
         }
         console.log(`   Multiple files: ${exportOptions.multipleFiles ? 'enabled' : 'disabled'}`);
         console.log(`   Content statuses: ${exportOptions.status}`);
+        console.log(`   Incremental: ${exportOptions.modifiedAfter ? `modified after ${exportOptions.modifiedAfter}` : (exportOptions.incremental ? 'since the last export' : 'disabled')}`);
         console.log(`   Authentication: ${WP_USERNAME && WP_APP_PASSWORD ? 'enabled (can access drafts)' : 'disabled (published content only)'}`);
         console.log(`   Output directory: ${exportOptions.outputDir}`);
         console.log(`   WordPress URL: ${exportOptions.wordpressUrl}\n`);
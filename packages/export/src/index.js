@@ -1,7 +1,7 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { findWorkspaceRoot } from '@migration/shared';
+import { EXPORT_MANIFEST_FILENAME, EXPORT_MANIFEST_VERSION, findWorkspaceRoot, getAvatarUrl } from '@migration/shared';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,6 +10,40 @@ const __dirname = path.dirname(__filename);
 const WP_USERNAME = process.env.WP_USERNAME || null;
 const WP_APP_PASSWORD = process.env.WP_APP_PASSWORD || null;
 
+const EXPORT_STATE_FILENAME = '.export-state.json';
+
+// Extensions of downloaded files whose URL has none (Gravatar, some media)
+const MIME_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'application/pdf': '.pdf',
+    'video/mp4': '.mp4',
+    'audio/mpeg': '.mp3'
+};
+
+// Post types listed by /wp/v2/types that are WordPress internals, not content
+const EXCLUDED_POST_TYPES = [
+    'attachment', // exported as media
+    'nav_menu_item',
+    'wp_block',
+    'wp_template',
+    'wp_template_part',
+    'wp_navigation',
+    'wp_global_styles',
+    'wp_font_family',
+    'wp_font_face',
+];
+
+// Used when /wp/v2/types can't be read
+const DEFAULT_POST_TYPES = [
+    { slug: 'post', name: 'Posts', restBase: 'posts', hierarchical: false },
+    { slug: 'page', name: 'Pages', restBase: 'pages', hierarchical: true },
+];
+
 class WordPressExporter {
     constructor(baseUrl, outputDir, options = {}) {
         this.baseUrl = baseUrl.replace(/\/$/, '');
@@ -17,6 +51,15 @@ class WordPressExporter {
         this.languages = options.languages || null; // null means export all content regardless of language
         this.multipleFiles = options.multipleFiles || false;
         this.statuses = options.statuses || 'all'; // Content statuses to export
+        this.polylangLanguages = []; // Languages configured in Polylang, if installed
+        this.postTypes = []; // REST-visible post types, exported to `<rest_base>.json`
+        this.translationGroups = {}; // Translation groups per content type, e.g. { posts: [{ en: 1, es: 2 }] }
+        this.manifestFiles = []; // Every exported file, written to manifest.json
+        // Incremental export: only fetch content modified after this date (ISO 8601)
+        this.incremental = options.incremental || false;
+        this.modifiedAfter = options.modifiedAfter || null;
+        this.currentIds = {}; // IDs still in WordPress per type, to detect deletions
+        this.deletions = {}; // Deleted items per type, written to deletions.json
     }
 
     // Helper method to create authenticated headers
@@ -40,26 +83,38 @@ class WordPressExporter {
         await fs.ensureDir(this.outputDir);
 
         // Variables to track export stats for console summary
-        let totalPosts = 0, totalPages = 0, totalUsers = 0;
+        const totals = {}; // Items per content type
+        let totalUsers = 0;
         let assetsResult = { downloaded: 0 };
 
+        // Changes made while exporting are picked up by the next incremental export
+        const startedAt = new Date().toISOString();
+
         try {
+            await this.loadExportState();
+
             // Export block schemas (only once, they're global)
             console.log('🧱 Exporting WordPress block schemas...');
             const blockSchemas = await this.exportBlockSchemas(this.outputDir);
 
+            // Export Advanced Custom Fields field groups (global too)
+            await this.exportAcfFieldGroups(this.outputDir);
+
+            await this.loadPolylangLanguages();
+            await this.loadPostTypes();
+
             if (this.languages === null) {
                 // Export all content without language filtering
                 console.log('🌐 Exporting all content (no language filtering)');
 
-                const posts = await this.exportAllPosts(this.outputDir);
-                const pages = await this.exportAllPages(this.outputDir);
+                for (const postType of this.postTypes) {
+                    const items = await this.exportContentType(postType, null, this.outputDir);
+                    totals[postType.restBase] = items.length;
+                }
                 const taxonomies = await this.exportAllTaxonomies(this.outputDir);
                 const users = await this.exportUsers(this.outputDir);
                 const mediaResult = await this.exportMedia(this.outputDir);
 
-                totalPosts = posts.length;
-                totalPages = pages.length;
                 totalUsers = users.length;
                 assetsResult = mediaResult;
             } else {
@@ -69,22 +124,23 @@ class WordPressExporter {
                 for (const language of this.languages) {
                     // Handle both string and object language formats
                     const langCode = typeof language === 'string' ? language : language.code;
-                    const langName = typeof language === 'string' ? langCode.toUpperCase() : language.name;
+                    const polylangLanguage = this.polylangLanguages.find(l => l.slug === langCode);
+                    const langName = typeof language === 'string' ? (polylangLanguage?.name || langCode.toUpperCase()) : language.name;
 
                     const langOutputDir = path.join(this.outputDir, langCode);
                     await fs.ensureDir(langOutputDir);
 
                     console.log(`📝 Exporting ${langName} content...`);
 
-                    const posts = await this.exportPosts(langCode, langOutputDir);
-                    const pages = await this.exportPages(langCode, langOutputDir);
-                    const taxonomies = await this.exportTaxonomies(langCode, langOutputDir);
+                    for (const postType of this.postTypes) {
+                        const items = await this.exportContentType(postType, langCode, langOutputDir);
 
-                    // Track totals for summary (using first language as reference)
-                    if (this.languages.indexOf(language) === 0) {
-                        totalPosts = posts.length;
-                        totalPages = pages.length;
+                        // Track totals for summary (using first language as reference)
+                        if (this.languages.indexOf(language) === 0) {
+                            totals[postType.restBase] = items.length;
+                        }
                     }
+                    const taxonomies = await this.exportTaxonomies(langCode, langOutputDir);
 
                     // Only export users and media once (they're global regardless of language)
                     if (this.languages.indexOf(language) === 0) {
@@ -97,56 +153,68 @@ class WordPressExporter {
                 }
             }
 
+            await this.exportLanguages(this.outputDir);
+            await this.exportTranslations(this.outputDir);
+            await this.exportDeletions(this.outputDir);
+            await this.exportManifest(this.outputDir);
+            await this.saveExportState(startedAt);
+
             console.log('✅ Export completed successfully!');
-            console.log(`📊 Summary: ${totalPosts} posts, ${totalPages} pages, ${blockSchemas.total || 0} block schemas, ${assetsResult.downloaded} assets downloaded`);
+            const contentSummary = Object.entries(totals).map(([type, count]) => `${count} ${type}`).join(', ');
+            console.log(`📊 Summary: ${contentSummary}, ${blockSchemas.total || 0} block schemas, ${assetsResult.downloaded} assets downloaded`);
         } catch (error) {
             console.error('❌ Export failed:', error);
             throw error;
         }
     }
 
-    async exportAllPosts(outputDir) {
-        console.log(`📄 Exporting all posts with block data...`);
+    /**
+     * Exports a post type into `<rest_base>.json`, with block data through the
+     * block exporter's `<rest_base>-with-blocks` endpoint when available.
+     * `langCode` null exports all content regardless of language.
+     */
+    async exportContentType(postType, langCode, outputDir) {
+        const type = postType.restBase;
+        const indent = langCode ? '  ' : '';
+        console.log(`${indent}📄 Exporting ${langCode ? '' : 'all '}${type} with block data...`);
+
+        let allItems;
+        let withBlocks = true;
 
         try {
             // Try to use the enhanced endpoint with block data
-            const allPosts = await this.fetchAllPaginated(`/wp-json/wp/v2/posts-with-blocks`);
-
-            await this.saveToFiles(outputDir, 'posts.json', allPosts, this.multipleFiles);
-            console.log(`    ✓ Found ${allPosts.length} posts with block data`);
-            return allPosts;
-
+            allItems = await this.fetchAllPaginated(`/wp-json/wp/v2/${type}-with-blocks`, {
+                ...this.getStatusParams(),
+                ...this.getModifiedAfterParams(),
+            });
         } catch (error) {
-            console.warn(`    ⚠️  Enhanced posts endpoint failed, falling back to standard API`);
+            console.warn(`    ⚠️  Enhanced ${type} endpoint failed, falling back to standard API`);
             // Fallback to standard REST API
-            const allPosts = await this.fetchAllPaginated(`/wp-json/wp/v2/posts`);
-
-            await this.saveToFiles(outputDir, 'posts.json', allPosts, this.multipleFiles);
-            console.log(`    ✓ Found ${allPosts.length} posts (without block data)`);
-            return allPosts;
+            allItems = await this.fetchAllPaginated(`/wp-json/wp/v2/${type}`, {
+                ...this.getStatusParams(),
+                ...this.getModifiedAfterParams(),
+            });
+            withBlocks = false;
         }
-    }
 
-    async exportAllPages(outputDir) {
-        console.log(`📋 Exporting all pages with block data...`);
-
-        try {
-            // Try to use the enhanced endpoint with block data
-            const allPages = await this.fetchAllPaginated(`/wp-json/wp/v2/pages-with-blocks`);
+        const items = await this.mergeWithPreviousExport(
+            type, outputDir, langCode, langCode ? this.filterByLanguage(allItems, langCode) : allItems, allItems
+        );
 
-            await this.saveToFiles(outputDir, 'pages.json', allPages, this.multipleFiles);
-            console.log(`    ✓ Found ${allPages.length} pages with block data`);
-            return allPages;
-
-        } catch (error) {
-            console.warn(`    ⚠️  Enhanced pages endpoint failed, falling back to standard API`);
-            // Fallback to standard REST API
-            const allPages = await this.fetchAllPaginated(`/wp-json/wp/v2/pages`);
+        await this.saveToFiles(outputDir, `${type}.json`, items, this.multipleFiles);
+        this.collectTranslationGroups(type, items);
+        this.recordContentFile(outputDir, type, langCode, items);
+        const seoPlugin = this.getSeoPlugin(items);
+        console.log(`    ✓ Found ${items.length} ${type}${langCode ? ` for ${langCode.toUpperCase()}` : ''} ${withBlocks ? 'with block data' : '(without block data)'}${seoPlugin ? `, ${seoPlugin} metadata` : ''}`);
+        return items;
+    }
 
-            await this.saveToFiles(outputDir, 'pages.json', allPages, this.multipleFiles);
-            console.log(`    ✓ Found ${allPages.length} pages (without block data)`);
-            return allPages;
-        }
+    // SEO plugin whose metadata comes with the items: Yoast SEO (`yoast_head_json`, also
+    // in the core API) or Rank Math (`rank_math`, from the block exporter endpoint)
+    getSeoPlugin(items) {
+        if (items.some(item => item.yoast_head_json)) return 'Yoast SEO';
+        if (items.some(item => item.rank_math)) return 'Rank Math';
+        return null;
     }
 
     async exportAllTaxonomies(outputDir) {
@@ -179,10 +247,8 @@ class WordPressExporter {
             console.log(`    📂 Exporting ${taxonomyInfo.name} (${taxonomyKey})...`);
 
             try {
-                // Fetch all terms for this taxonomy
-                const endpoint = taxonomyKey === 'category' ? 'categories' :
-                    taxonomyKey === 'post_tag' ? 'tags' :
-                        `${taxonomyKey}s`; // Fallback for custom taxonomies
+                // Fetch all terms for this taxonomy, from its REST route
+                const endpoint = taxonomyInfo.rest_base || taxonomyKey;
 
                 const allTerms = await this.fetchAllPaginated(`/wp-json/wp/v2/${endpoint}`);
 
@@ -218,60 +284,14 @@ class WordPressExporter {
             }
         }
 
+        await this.recordTermDeletions(outputDir, null, taxonomiesData);
         await this.saveToFile(path.join(outputDir, 'taxonomies.json'), taxonomiesData);
+        this.recordFile({ kind: 'taxonomies', language: null, filePath: path.join(outputDir, 'taxonomies.json'), count: totalTerms });
         console.log(`    ✓ Found ${totalTerms} total taxonomy terms`);
 
         return taxonomiesData;
     }
 
-    async exportPosts(langCode, outputDir) {
-        console.log(`  📄 Exporting posts with block data...`);
-
-        try {
-            // Try to use the enhanced endpoint with block data
-            const allPosts = await this.fetchAllPaginated(`/wp-json/wp/v2/posts-with-blocks`);
-            const langPosts = this.filterByLanguage(allPosts, langCode);
-
-            await this.saveToFiles(outputDir, 'posts.json', langPosts, this.multipleFiles);
-            console.log(`    ✓ Found ${langPosts.length} posts with block data for ${langCode.toUpperCase()}`);
-            return langPosts;
-
-        } catch (error) {
-            console.warn(`    ⚠️  Enhanced posts endpoint failed, falling back to standard API`);
-            // Fallback to standard REST API
-            const allPosts = await this.fetchAllPaginated(`/wp-json/wp/v2/posts`);
-            const langPosts = this.filterByLanguage(allPosts, langCode);
-
-            await this.saveToFiles(outputDir, 'posts.json', langPosts, this.multipleFiles);
-            console.log(`    ✓ Found ${langPosts.length} posts for ${langCode.toUpperCase()} (without block data)`);
-            return langPosts;
-        }
-    }
-
-    async exportPages(langCode, outputDir) {
-        console.log(`  📋 Exporting pages with block data...`);
-
-        try {
-            // Try to use the enhanced endpoint with block data
-            const allPages = await this.fetchAllPaginated(`/wp-json/wp/v2/pages-with-blocks`);
-            const langPages = this.filterByLanguage(allPages, langCode);
-
-            await this.saveToFiles(outputDir, 'pages.json', langPages, this.multipleFiles);
-            console.log(`    ✓ Found ${langPages.length} pages with block data for ${langCode.toUpperCase()}`);
-            return langPages;
-
-        } catch (error) {
-            console.warn(`    ⚠️  Enhanced pages endpoint failed, falling back to standard API`);
-            // Fallback to standard REST API
-            const allPages = await this.fetchAllPaginated(`/wp-json/wp/v2/pages`);
-            const langPages = this.filterByLanguage(allPages, langCode);
-
-            await this.saveToFiles(outputDir, 'pages.json', langPages, this.multipleFiles);
-            console.log(`    ✓ Found ${langPages.length} pages for ${langCode.toUpperCase()} (without block data)`);
-            return langPages;
-        }
-    }
-
     async exportTaxonomies(langCode, outputDir) {
         console.log(`  🏷️  Exporting taxonomies...`);
 
@@ -303,10 +323,8 @@ class WordPressExporter {
             console.log(`    📂 Exporting ${taxonomyInfo.name} (${taxonomyKey})...`);
 
             try {
-                // Fetch all terms for this taxonomy
-                const endpoint = taxonomyKey === 'category' ? 'categories' :
-                    taxonomyKey === 'post_tag' ? 'tags' :
-                        `${taxonomyKey}s`; // Fallback for custom taxonomies
+                // Fetch all terms for this taxonomy, from its REST route
+                const endpoint = taxonomyInfo.rest_base || taxonomyKey;
 
                 const allTerms = await this.fetchAllPaginated(`/wp-json/wp/v2/${endpoint}`);
                 const langTerms = this.filterByLanguage(allTerms, langCode);
@@ -343,7 +361,9 @@ class WordPressExporter {
             }
         }
 
+        await this.recordTermDeletions(outputDir, langCode, taxonomiesData);
         await this.saveToFile(path.join(outputDir, 'taxonomies.json'), taxonomiesData);
+        this.recordFile({ kind: 'taxonomies', language: langCode, filePath: path.join(outputDir, 'taxonomies.json'), count: totalTerms });
         console.log(`    ✓ Found ${totalTerms} total taxonomy terms for ${langCode.toUpperCase()}`);
 
         return taxonomiesData;
@@ -352,13 +372,63 @@ class WordPressExporter {
     async exportUsers(outputDir) {
         console.log(`  👥 Exporting users...`);
         const users = await this.fetchAllPaginated(`/wp-json/wp/v2/users`);
+        await this.downloadAvatars(users, path.join(outputDir, 'assets'));
         await this.saveToFile(path.join(outputDir, 'users.json'), users);
+        this.recordFile({ kind: 'users', filePath: path.join(outputDir, 'users.json'), count: users.length });
         return users;
     }
 
+    /**
+     * Downloads the largest avatar of each user into the assets folder, so the importer
+     * uploads it like media (`avatar_local_path`, relative to the export folder)
+     */
+    async downloadAvatars(users, assetsDir) {
+        const usersWithAvatar = users.filter(user => getAvatarUrl(user));
+        if (usersWithAvatar.length === 0) return;
+
+        console.log(`    📥 Downloading ${usersWithAvatar.length} avatars...`);
+        await fs.ensureDir(assetsDir);
+
+        let downloaded = 0;
+        for (const user of usersWithAvatar) {
+            try {
+                await this.downloadAvatar(user, assetsDir);
+                downloaded++;
+            } catch (error) {
+                console.warn(`    ⚠️  Failed to download the avatar of ${user.name}: ${error.message}`);
+            }
+        }
+
+        console.log(`    ✅ Downloaded ${downloaded} avatars, errors ${usersWithAvatar.length - downloaded}`);
+    }
+
+    async downloadAvatar(user, assetsDir) {
+        const response = await fetch(getAvatarUrl(user), {
+            headers: {
+                'User-Agent': 'WordPress-Storyblok-Migration/1.0'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // Gravatar URLs have no extension; avatars are re-downloaded, as they can change
+        const mimeType = response.headers.get('content-type')?.split(';')[0];
+        const fileName = `avatar-${user.slug || user.id}${MIME_EXTENSIONS[mimeType] || '.jpg'}`;
+        const filePath = path.join(assetsDir, fileName);
+
+        await fs.writeFile(filePath, Buffer.from(await response.arrayBuffer()));
+        user.avatar_local_path = path.relative(path.dirname(assetsDir), filePath);
+    }
+
     async exportMedia(outputDir) {
         console.log(`  🖼️  Exporting media...`);
-        const media = await this.fetchAllPaginated(`/wp-json/wp/v2/media`);
+        const changedMedia = await this.fetchAllPaginated(`/wp-json/wp/v2/media`, this.getModifiedAfterParams());
+        const media = await this.mergeWithPreviousExport('media', outputDir, null, changedMedia, changedMedia);
+        // Unchanged media was downloaded by a previous export
+        const mediaToDownload = this.modifiedAfter ? changedMedia : media;
+        const assetsDir = path.join(outputDir, 'assets');
 
         // Save media metadata
         await this.saveToFile(path.join(outputDir, 'media.json'), media);
@@ -371,14 +441,14 @@ class WordPressExporter {
         };
 
         // Download actual media files
-        if (media.length > 0) {
-            console.log(`    📥 Downloading ${media.length} media files...`);
-            const assetsDir = path.join(outputDir, 'assets');
+        if (mediaToDownload.length > 0) {
+            console.log(`    📥 Downloading ${mediaToDownload.length} media files...`);
             await fs.ensureDir(assetsDir);
 
-            for (const mediaItem of media) {
+            for (const mediaItem of mediaToDownload) {
                 try {
-                    await this.downloadMediaFile(mediaItem, assetsDir);
+                    // Changed media may have a replaced file under the same name
+                    await this.downloadMediaFile(mediaItem, assetsDir, { overwrite: Boolean(this.modifiedAfter) });
                     result.downloaded++;
                 } catch (error) {
                     if (error.message.includes('External URL') || error.message.includes('already exists')) {
@@ -396,10 +466,17 @@ class WordPressExporter {
             console.log(`    ✅ Downloaded ${result.downloaded} files, skipped ${result.skipped}, errors ${result.errors}`);
         }
 
+        this.recordFile({ kind: 'media', filePath: path.join(outputDir, 'media.json'), count: media.length });
+
+        if (await fs.pathExists(assetsDir)) {
+            const files = await fs.readdir(assetsDir);
+            this.recordFile({ kind: 'assets', filePath: assetsDir, count: files.length, format: 'directory' });
+        }
+
         return result;
     }
 
-    async downloadMediaFile(mediaItem, assetsDir) {
+    async downloadMediaFile(mediaItem, assetsDir, { overwrite = false } = {}) {
         const sourceUrl = mediaItem.source_url;
 
         // Skip if no source URL
@@ -418,18 +495,7 @@ class WordPressExporter {
 
         // Ensure we have an extension
         if (!path.extname(fileName) && mediaItem.mime_type) {
-            const mimeToExt = {
-                'image/jpeg': '.jpg',
-                'image/jpg': '.jpg',
-                'image/png': '.png',
-                'image/gif': '.gif',
-                'image/webp': '.webp',
-                'image/svg+xml': '.svg',
-                'application/pdf': '.pdf',
-                'video/mp4': '.mp4',
-                'audio/mpeg': '.mp3'
-            };
-            const ext = mimeToExt[mediaItem.mime_type];
+            const ext = MIME_EXTENSIONS[mediaItem.mime_type];
             if (ext) {
                 fileName += ext;
             }
@@ -438,7 +504,7 @@ class WordPressExporter {
         const filePath = path.join(assetsDir, fileName);
 
         // Skip if file already exists
-        if (await fs.pathExists(filePath)) {
+        if (!overwrite && await fs.pathExists(filePath)) {
             mediaItem.local_path = path.relative(path.dirname(assetsDir), filePath);
             return;
         }
@@ -473,7 +539,20 @@ class WordPressExporter {
         }
     }
 
-    async fetchAllPaginated(endpoint) {
+    /**
+     * `status` parameter of post type requests (any post type, custom ones included).
+     * Draft/private content requires authentication: without it, only published content
+     * is requested, as WordPress wouldn't return the rest.
+     */
+    getStatusParams() {
+        if (this.statuses !== 'all') {
+            return { status: this.statuses };
+        }
+
+        return { status: WP_USERNAME && WP_APP_PASSWORD ? 'publish,draft,private,pending,future' : 'publish' };
+    }
+
+    async fetchAllPaginated(endpoint, params = {}) {
         const results = [];
         let page = 1;
         let hasMore = true;
@@ -486,23 +565,8 @@ class WordPressExporter {
                 const url = new URL(`${this.baseUrl}${endpoint}`);
                 url.searchParams.set('page', page.toString());
                 url.searchParams.set('per_page', maxPerPage.toString());
-
-                // Include specified post statuses (requires authentication for draft/private content)
-                // Without auth, only published content will be returned by WordPress
-                if (endpoint.includes('/posts') || endpoint.includes('/pages')) {
-                    let statusesToRequest = this.statuses;
-
-                    // Handle 'all' status option - but restrict based on authentication
-                    if (statusesToRequest === 'all') {
-                        // If we have authentication, request all statuses, otherwise just published
-                        if (WP_USERNAME && WP_APP_PASSWORD) {
-                            statusesToRequest = 'publish,draft,private,pending,future';
-                        } else {
-                            statusesToRequest = 'publish';
-                        }
-                    }
-
-                    url.searchParams.set('status', statusesToRequest);
+                for (const [key, value] of Object.entries(params)) {
+                    url.searchParams.set(key, value);
                 }
 
                 const response = await fetch(url.toString(), {
@@ -529,8 +593,9 @@ class WordPressExporter {
                 results.push(...data);
 
                 // Check pagination headers (multiple fallback methods)
+                // Without them (older block exporter), pages are read until a short one
                 const totalPages = parseInt(response.headers.get('x-wp-totalpages')) ||
-                    parseInt(response.headers.get('X-WP-TotalPages')) || 1;
+                    parseInt(response.headers.get('X-WP-TotalPages')) || null;
                 const totalItems = parseInt(response.headers.get('x-wp-total')) ||
                     parseInt(response.headers.get('X-WP-Total')) || 0;
 
@@ -538,11 +603,11 @@ class WordPressExporter {
                 if (page === 1 && totalItems > 0) {
                     console.log(`      Found ${totalItems} total items across ${totalPages} pages`);
                 } else if (page % 10 === 0) {
-                    console.log(`      Progress: Page ${page}/${totalPages} (${results.length} items collected)`);
+                    console.log(`      Progress: Page ${page}/${totalPages ?? '?'} (${results.length} items collected)`);
                 }
 
                 // Determine if more pages exist
-                hasMore = page < totalPages && data.length === maxPerPage;
+                hasMore = (totalPages === null || page < totalPages) && data.length === maxPerPage;
                 page++;
 
                 // Add small delay for very large datasets to be respectful to the server
@@ -582,6 +647,11 @@ class WordPressExporter {
 
             // Save block schemas to file
             await fs.writeJson(path.join(outputDir, 'block_schemas.json'), blockData, { spaces: 2 });
+            this.recordFile({
+                kind: 'block_schemas',
+                filePath: path.join(outputDir, 'block_schemas.json'),
+                count: Object.keys(blockData.block_types || {}).length
+            });
 
             console.log(`    ✓ Exported ${blockData.total_schemas || Object.keys(blockData.block_types || {}).length} block type schemas`);
 
@@ -599,24 +669,384 @@ class WordPressExporter {
 
 
 
-    // Filter content by language based on the link URL
+    // Advanced Custom Fields field groups; the values come with each item (`acf`)
+    async exportAcfFieldGroups(outputDir) {
+        console.log(`  🗂️  Exporting ACF field groups...`);
+
+        try {
+            const response = await fetch(`${this.baseUrl}/wp-json/wp/v2/acf-field-groups`, {
+                headers: this.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const acfData = await response.json();
+            const filePath = path.join(outputDir, 'acf_field_groups.json');
+
+            await fs.writeJson(filePath, acfData, { spaces: 2 });
+            this.recordFile({ kind: 'acf_field_groups', filePath, count: (acfData.field_groups || []).length });
+
+            console.log(`    ✓ Exported ${(acfData.field_groups || []).length} ACF field groups`);
+            return acfData;
+        } catch (error) {
+            console.log(`    ℹ️  ACF field groups not available (${error.message}), skipping`);
+            return null;
+        }
+    }
+
+    // REST-visible post types (posts, pages and custom ones like `event`), from /wp/v2/types
+    async loadPostTypes() {
+        try {
+            const response = await fetch(`${this.baseUrl}/wp-json/wp/v2/types`, {
+                headers: this.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const types = await response.json();
+            this.postTypes = Object.values(types)
+                .filter(type => !EXCLUDED_POST_TYPES.includes(type.slug))
+                .map(type => ({
+                    slug: type.slug,
+                    name: type.name,
+                    restBase: type.rest_base || type.slug,
+                    hierarchical: Boolean(type.hierarchical),
+                }));
+            console.log(`📚 Post types: ${this.postTypes.map(type => type.restBase).join(', ')}`);
+        } catch (error) {
+            console.warn(`    ⚠️  Post types not available (${error.message}), exporting posts and pages`);
+            this.postTypes = DEFAULT_POST_TYPES;
+        }
+
+        return this.postTypes;
+    }
+
+    // Languages configured in Polylang (slug, name, locale, is_default, home_url...)
+    async loadPolylangLanguages() {
+        try {
+            const response = await fetch(`${this.baseUrl}/wp-json/pll/v1/languages`, {
+                headers: this.getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.polylangLanguages = await response.json();
+            console.log(`🌐 Polylang languages: ${this.polylangLanguages.map(l => `${l.slug}${l.is_default ? ' (default)' : ''}`).join(', ')}`);
+        } catch (error) {
+            console.log(`    ℹ️  Polylang languages not available (${error.message}), detecting languages from URLs`);
+            this.polylangLanguages = [];
+        }
+
+        return this.polylangLanguages;
+    }
+
+    getDefaultLanguage() {
+        const polylangDefault = this.polylangLanguages.find(l => l.is_default);
+        if (polylangDefault) return polylangDefault.slug;
+
+        const [firstLanguage] = this.languages || [];
+        return typeof firstLanguage === 'string' ? firstLanguage : firstLanguage?.code;
+    }
+
+    // Language of an item from its URL: Polylang's language home URL, or a `/<code>/` path prefix
+    getLanguageFromUrl(link) {
+        const defaultLanguage = this.getDefaultLanguage();
+        const candidates = this.polylangLanguages.length > 0
+            ? this.polylangLanguages.map(l => ({ code: l.slug, homeUrl: l.home_url }))
+            : (this.languages || []).map(l => ({ code: typeof l === 'string' ? l : l.code }));
+
+        for (const { code, homeUrl } of candidates) {
+            if (code === defaultLanguage) continue;
+
+            const prefix = homeUrl ? homeUrl.replace(/\/?$/, '/') : `/${code}/`;
+            const matches = homeUrl ? link.startsWith(prefix) : new URL(link, this.baseUrl).pathname.startsWith(prefix);
+            if (matches) return code;
+        }
+
+        return defaultLanguage;
+    }
+
+    // Filter content by language: Polylang's `lang` field when exported, the link URL otherwise
     filterByLanguage(items, langCode) {
         return items.filter(item => {
+            if (item.lang) return item.lang === langCode;
             if (!item.link) return false;
 
-            // Spanish content has links starting with /es/
-            const isSpanish = item.link.includes('/es/');
+            return this.getLanguageFromUrl(item.link) === langCode;
+        });
+    }
+
+    // Collects the Polylang translation groups of exported items (language code => item ID)
+    collectTranslationGroups(type, items) {
+        const groups = this.translationGroups[type] || [];
+        const seen = new Set(groups.map(group => JSON.stringify(group)));
 
-            if (langCode === 'es') {
-                return isSpanish;
-            } else if (langCode === 'en') {
-                return !isSpanish;
+        for (const item of items) {
+            const translations = Object.fromEntries(
+                Object.entries(item.translations || {})
+                    .map(([lang, id]) => [lang, Number(id)])
+                    .sort(([a], [b]) => a.localeCompare(b))
+            );
+
+            // A group with a single language has nothing to link
+            if (Object.keys(translations).length < 2) continue;
+
+            const key = JSON.stringify(translations);
+            if (seen.has(key)) continue;
+
+            seen.add(key);
+            groups.push(translations);
+        }
+
+        this.translationGroups[type] = groups;
+    }
+
+    // Languages exported to their own folder (none when exporting without language filtering)
+    async exportLanguages(outputDir) {
+        const languages = (this.languages || []).map(language => {
+            const code = typeof language === 'string' ? language : language.code;
+            const polylangLanguage = this.polylangLanguages.find(l => l.slug === code);
+
+            return {
+                code,
+                name: language.name || polylangLanguage?.name || code.toUpperCase(),
+                locale: polylangLanguage?.locale || null,
+            };
+        });
+
+        await fs.writeJson(path.join(outputDir, 'languages.json'), {
+            default_language: this.getDefaultLanguage() || null,
+            languages,
+        }, { spaces: 2 });
+        this.recordFile({ kind: 'languages', filePath: path.join(outputDir, 'languages.json'), count: languages.length });
+        console.log(`    ✓ Saved ${languages.length} languages to languages.json`);
+    }
+
+    async exportTranslations(outputDir) {
+        const translations = {
+            meta: {
+                exported_at: new Date().toISOString(),
+                default_language: this.getDefaultLanguage() || null,
+            },
+            groups: this.translationGroups,
+        };
+
+        await fs.writeJson(path.join(outputDir, 'translations.json'), translations, { spaces: 2 });
+
+        const total = Object.values(this.translationGroups).reduce((sum, groups) => sum + groups.length, 0);
+        this.recordFile({ kind: 'translations', filePath: path.join(outputDir, 'translations.json'), count: total });
+        console.log(`    ✓ Saved ${total} translation groups to translations.json`);
+    }
+
+    // Incremental export state: when the last export started, and its layout
+    async loadExportState() {
+        const statePath = path.join(this.outputDir, EXPORT_STATE_FILENAME);
+
+        if (this.incremental && !this.modifiedAfter) {
+            if (!(await fs.pathExists(statePath))) {
+                console.warn(`    ⚠️  No ${EXPORT_STATE_FILENAME} found: running a full export`);
+                return;
             }
 
-            return false;
+            const state = await fs.readJson(statePath);
+
+            // Options left out (e.g. by `pnpm sync`) are taken from the previous export
+            if (this.languages === null && state.languages.length > 0) {
+                this.languages = state.languages;
+            }
+            if (this.statuses === 'all') {
+                this.statuses = state.statuses;
+            }
+            this.multipleFiles ||= state.multiple_files;
+
+            const languages = (this.languages || []).map(l => (typeof l === 'string' ? l : l.code));
+
+            // Merging into an export with another layout would mix up files
+            if (state.source !== this.baseUrl ||
+                state.multiple_files !== this.multipleFiles ||
+                state.statuses !== this.statuses ||
+                JSON.stringify(state.languages) !== JSON.stringify(languages)) {
+                throw new Error(`Incremental export options don't match the previous export (${EXPORT_STATE_FILENAME}): run a full export`);
+            }
+
+            this.modifiedAfter = state.last_export_at;
+        }
+
+        if (!this.modifiedAfter) return;
+
+        const deletionsPath = path.join(this.outputDir, 'deletions.json');
+        if (await fs.pathExists(deletionsPath)) {
+            this.deletions = (await fs.readJson(deletionsPath)).deletions || {};
+        }
+
+        console.log(`🔁 Incremental export: content modified after ${this.modifiedAfter}`);
+    }
+
+    async saveExportState(startedAt) {
+        await fs.writeJson(path.join(this.outputDir, EXPORT_STATE_FILENAME), {
+            source: this.baseUrl,
+            last_export_at: startedAt,
+            languages: (this.languages || []).map(l => (typeof l === 'string' ? l : l.code)),
+            multiple_files: this.multipleFiles,
+            statuses: this.statuses,
+        }, { spaces: 2 });
+    }
+
+    getModifiedAfterParams() {
+        return this.modifiedAfter ? { modified_after: this.modifiedAfter } : {};
+    }
+
+    // IDs of every item of a type still in WordPress (trashed and deleted items are missing)
+    async fetchCurrentIds(type) {
+        if (!this.currentIds[type]) {
+            // Media has no post status; post types are listed with the exported statuses, so an
+            // item moved out of them (e.g. published → draft with `--status publish`) counts as deleted
+            const items = type === 'media'
+                ? await this.fetchAllPaginated('/wp-json/wp/v2/media', { _fields: 'id' })
+                : await this.fetchAllPaginated(`/wp-json/wp/v2/${type}`, { _fields: 'id', ...this.getStatusParams() });
+            this.currentIds[type] = new Set(items.map(item => item.id));
+        }
+
+        return this.currentIds[type];
+    }
+
+    async readPreviousExport(filePath) {
+        if (!(await fs.pathExists(filePath))) return [];
+
+        if ((await fs.stat(filePath)).isDirectory()) {
+            const files = (await fs.readdir(filePath)).filter(file => file.endsWith('.json'));
+            return Promise.all(files.map(file => fs.readJson(path.join(filePath, file))));
+        }
+
+        return fs.readJson(filePath);
+    }
+
+    /**
+     * Incremental export: merges the changed items into the previously exported
+     * file, dropping (and recording) items deleted from WordPress. `allChangedItems`
+     * holds the changes of every language, so an item moved to another language
+     * leaves this file. Full exports return the fetched items as is.
+     */
+    async mergeWithPreviousExport(type, outputDir, language, changedItems, allChangedItems) {
+        if (!this.modifiedAfter) return changedItems;
+
+        const previousPath = type !== 'media' && this.multipleFiles
+            ? path.join(outputDir, type)
+            : path.join(outputDir, `${type}.json`);
+        const previousItems = await this.readPreviousExport(previousPath);
+        const currentIds = await this.fetchCurrentIds(type);
+        const changedIds = new Set(allChangedItems.map(item => item.id));
+
+        const deletedItems = previousItems.filter(item => !currentIds.has(item.id));
+        deletedItems.forEach(item => this.recordDeletion(type, item, language));
+
+        const unchangedItems = previousItems.filter(item => currentIds.has(item.id) && !changedIds.has(item.id));
+        console.log(`    ↺ ${type}${language ? ` (${language})` : ''}: ${changedItems.length} changed, ${unchangedItems.length} unchanged, ${deletedItems.length} deleted`);
+
+        return [...unchangedItems, ...changedItems];
+    }
+
+    // Terms have no modification date, so they're always exported in full;
+    // terms missing since the previous export were deleted
+    async recordTermDeletions(outputDir, language, taxonomiesData) {
+        const previousPath = path.join(outputDir, 'taxonomies.json');
+
+        if (!this.modifiedAfter || !(await fs.pathExists(previousPath))) return;
+
+        const previous = await fs.readJson(previousPath);
+
+        for (const [taxonomyKey, taxonomy] of Object.entries(previous.taxonomies || {})) {
+            const currentTerms = taxonomiesData.taxonomies[taxonomyKey]?.terms || [];
+            const currentIds = new Set(currentTerms.map(term => term.id));
+
+            for (const term of taxonomy.terms || []) {
+                if (!currentIds.has(term.id)) {
+                    this.recordDeletion(taxonomyKey, term, language);
+                }
+            }
+        }
+    }
+
+    recordDeletion(type, item, language) {
+        const deletions = this.deletions[type] || [];
+
+        if (!deletions.some(deletion => deletion.id === item.id)) {
+            deletions.push({
+                id: item.id,
+                slug: item.slug || null,
+                link: item.link || null,
+                language,
+                deleted_at: new Date().toISOString(),
+            });
+        }
+
+        this.deletions[type] = deletions;
+    }
+
+    // Items deleted from WordPress since the first export, for the importer to act on
+    async exportDeletions(outputDir) {
+        const total = Object.values(this.deletions).reduce((sum, deletions) => sum + deletions.length, 0);
+
+        if (total === 0 && !this.modifiedAfter) return;
+
+        await fs.writeJson(path.join(outputDir, 'deletions.json'), {
+            updated_at: new Date().toISOString(),
+            deletions: this.deletions,
+        }, { spaces: 2 });
+        this.recordFile({ kind: 'deletions', filePath: path.join(outputDir, 'deletions.json'), count: total });
+        console.log(`    ✓ Saved ${total} deleted items to deletions.json`);
+    }
+
+    // Records an exported file for the manifest, with its path relative to the export root
+    recordFile({ kind, filePath, language = null, type = null, count = null, format = 'file' }) {
+        this.manifestFiles.push({
+            kind,
+            path: path.relative(this.outputDir, filePath).split(path.sep).join('/'),
+            language,
+            type,
+            count,
+            format,
         });
     }
 
+    recordContentFile(outputDir, type, language, items) {
+        this.recordFile({
+            kind: 'content',
+            // Multiple files mode writes one JSON file per item into a `<type>/` folder
+            filePath: path.join(outputDir, this.multipleFiles ? type : `${type}.json`),
+            language,
+            type,
+            count: items.length,
+            format: this.multipleFiles ? 'directory' : 'file',
+        });
+    }
+
+    // manifest.json: the contract the mapper loads the export through
+    async exportManifest(outputDir) {
+        const languages = (this.languages || []).map(language => (typeof language === 'string' ? language : language.code));
+
+        const manifest = {
+            schema_version: EXPORT_MANIFEST_VERSION,
+            exported_at: new Date().toISOString(),
+            source: this.baseUrl,
+            statuses: this.statuses,
+            // Incremental export: items modified after this date are the changed ones
+            modified_after: this.modifiedAfter,
+            default_language: this.getDefaultLanguage() || null,
+            languages,
+            files: this.manifestFiles,
+        };
+
+        await fs.writeJson(path.join(outputDir, EXPORT_MANIFEST_FILENAME), manifest, { spaces: 2 });
+        console.log(`    ✓ Saved ${this.manifestFiles.length} file entries to ${EXPORT_MANIFEST_FILENAME}`);
+    }
+
     async saveToFile(filePath, data) {
         await fs.writeJson(filePath, data, { spaces: 2 });
         console.log(`    ✓ Saved ${data.length} items to ${path.basename(filePath)}`);
@@ -632,7 +1062,8 @@ class WordPressExporter {
         // Save as multiple files
         const baseName = path.parse(filename).name;
         const multipleFilesDir = path.join(outputDir, baseName);
-        await fs.ensureDir(multipleFilesDir);
+        // Start empty, so files of deleted items don't linger
+        await fs.emptyDir(multipleFilesDir);
 
         console.log(`    ✓ Saving ${data.length} items as individual files to ${baseName}/`);
 
@@ -643,13 +1074,14 @@ class WordPressExporter {
                     .toLowerCase()
                     .replace(/[^a-z0-9]+/g, '-')
                     .replace(/^-+|-+$/g, '') ||
-                `item-${item.id}`;
+                'item';
 
             // Ensure filename is not too long and ends with .json
             if (itemFilename.length > 100) {
                 itemFilename = itemFilename.substring(0, 100);
             }
-            itemFilename += '.json';
+            // Prefixed with the ID: drafts have no slug, and titles aren't unique
+            itemFilename = `${item.id}-${itemFilename}.json`;
 
             const itemPath = path.join(multipleFilesDir, itemFilename);
             await fs.writeJson(itemPath, item, { spaces: 2 });
@@ -679,13 +1111,16 @@ export async function exportWordPressContent(options = {}) {
     const exporterOptions = {
         languages: processedLanguages,
         multipleFiles: options.multipleFiles || false,
-        statuses: options.status || 'all'
+        statuses: options.status || 'all',
+        incremental: options.incremental || false,
+        modifiedAfter: options.modifiedAfter || null
     };
 
     console.log('🚀 Starting WordPress content export...');
     console.log(`   Languages: ${exporterOptions.languages ? exporterOptions.languages.join(', ') : 'all'}`);
     console.log(`   Multiple files: ${exporterOptions.multipleFiles ? 'enabled' : 'disabled'}`);
     console.log(`   Content statuses: ${exporterOptions.statuses}`);
+    console.log(`   Incremental: ${exporterOptions.modifiedAfter ? `modified after ${exporterOptions.modifiedAfter}` : (exporterOptions.incremental ? 'since the last export' : 'disabled')}`);
     console.log(`   Authentication: ${WP_USERNAME && WP_APP_PASSWORD ? 'enabled (can access drafts)' : 'disabled (published content only)'}`);
     console.log(`   Output directory: ${outputDir}`);
     console.log(`   WordPress URL: ${wordpressUrl}\n`);
@@ -0,0 +1,111 @@
+import path from 'path';
+
+// WordPress resized variants: image-300x200.jpg, image-scaled.jpg, image-rotated.jpg
+const VARIANT_SUFFIX = /-(\d+x\d+|scaled|rotated)(?=\.[a-z0-9]+$)/i;
+const URL_PATTERN = /https?:\/\/[^\s"'()<>]+/g;
+
+/**
+ * Lookup of imported Storyblok assets by WordPress URL (any size variant) and media id
+ */
+export class AssetUrlMap {
+    constructor() {
+        this.byUrl = new Map();
+        this.byWpId = new Map();
+    }
+
+    /**
+     * Registers an imported asset under its original URL and every size variant URL
+     */
+    add(asset, importedAsset) {
+        const urls = [asset.filename, ...(asset.sizes || [])].filter(Boolean);
+        for (const url of urls) {
+            this.byUrl.set(this.normalizeUrl(url), importedAsset);
+        }
+        if (asset.wp_id) {
+            this.byWpId.set(Number(asset.wp_id), importedAsset);
+        }
+    }
+
+    /**
+     * Finds the imported asset for a WordPress URL, including resized
+     * variants that are not listed in `media_details.sizes`
+     */
+    resolve(url) {
+        if (typeof url !== 'string' || !url.startsWith('http')) return null;
+
+        const normalized = this.normalizeUrl(url);
+        return this.byUrl.get(normalized) ||
+            this.byUrl.get(normalized.replace(VARIANT_SUFFIX, '')) ||
+            null;
+    }
+
+    resolveWpId(wpId) {
+        return this.byWpId.get(Number(wpId)) || null;
+    }
+
+    // Protocol, query string and hash don't identify a different file
+    normalizeUrl(url) {
+        return url.replace(/^https?:/, '').split(/[?#]/)[0];
+    }
+}
+
+/**
+ * Name of an asset's file in Storyblok: the uploaded file's, or the last segment of its URL
+ */
+export function getAssetFileName(asset) {
+    return asset.local_path
+        ? path.basename(asset.local_path)
+        : path.posix.basename(asset.filename.split(/[?#]/)[0]);
+}
+
+/**
+ * Rewrites every reference to a WordPress asset in story content:
+ * asset fields (`{ filename }`), richtext `image` nodes and URLs inside strings
+ * (links, markdown, HTML). Returns `{ content, rewritten }`.
+ */
+export function rewriteAssetReferences(content, assetUrls) {
+    let rewritten = 0;
+
+    const rewriteString = (value) => value.replace(URL_PATTERN, url => {
+        const asset = assetUrls.resolve(url);
+        if (!asset) return url;
+        rewritten++;
+        return asset.filename;
+    });
+
+    const walk = (node) => {
+        if (typeof node === 'string') {
+            return rewriteString(node);
+        }
+
+        if (Array.isArray(node)) {
+            return node.map(walk);
+        }
+
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+
+        // Asset field
+        if (typeof node.filename === 'string') {
+            const asset = assetUrls.resolve(node.filename);
+            if (asset) {
+                rewritten++;
+                return { ...node, id: asset.id, filename: asset.filename, fieldtype: 'asset' };
+            }
+        }
+
+        // Richtext image node
+        if (node.type === 'image' && typeof node.attrs?.src === 'string') {
+            const asset = assetUrls.resolve(node.attrs.src);
+            if (asset) {
+                rewritten++;
+                return { ...node, attrs: { ...node.attrs, id: asset.id, src: asset.filename } };
+            }
+        }
+
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, walk(value)]));
+    };
+
+    return { content: walk(content), rewritten };
+}
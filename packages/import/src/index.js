@@ -3,14 +3,21 @@ import fs from 'fs-extra';
 import path from 'path';
 import pLimit from 'p-limit';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { config } from 'dotenv';
+import { findWorkspaceRoot, hasStoryLinkPlaceholders, resolveStoryLinkPlaceholders } from '@migration/shared';
+import { AssetUrlMap, getAssetFileName, rewriteAssetReferences } from './assets.js';
+import { ImportState, getStoryKey, hasSourceId } from './state.js';
+import { diffFields, fetchAllPages, getExpectedFullSlug } from './upsert.js';
+import { ImportReport, createReadOnlyClient } from './report.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 config();
 
-const INPUT_DIR = process.env.MAPPING_OUTPUT_DIR || './mapped-data';
+// The mapper's output; `pnpm run import` runs from packages/import
+const INPUT_DIR = process.env.MAPPING_OUTPUT_DIR || path.join(findWorkspaceRoot(), 'mapped-data');
 const STORYBLOK_OAUTH_TOKEN = process.env.STORYBLOK_OAUTH_TOKEN;
 const STORYBLOK_SPACE_ID = process.env.STORYBLOK_SPACE_ID;
 
@@ -18,13 +25,32 @@ const STORYBLOK_SPACE_ID = process.env.STORYBLOK_SPACE_ID;
 const limit = pLimit(6);
 
 class StoryblokImporter {
-    constructor(inputDir, oauthToken, spaceId) {
+    constructor(inputDir, oauthToken, spaceId, options = {}) {
         this.inputDir = inputDir;
         this.spaceId = spaceId;
+        // Upsert: look up existing entities by name/slug and update what changed
+        this.upsert = options.upsert || false;
+        // Dry run: only read the space and report what an import would do
+        this.dryRun = options.dryRun || false;
+        // Stories of items deleted in WordPress are unpublished, or deleted with this option
+        this.deleteRemoved = options.deleteRemoved || false;
+        this.existing = null;
         this.client = new StoryblokClient({
             oauthToken,
         });
+        if (this.dryRun) {
+            this.client = createReadOnlyClient(this.client);
+        }
         this.importedIds = new Map();
+        // Folder full slug → Storyblok folder id
+        this.folderIds = new Map();
+        this.storiesWithLinks = [];
+        // WordPress asset URL → imported Storyblok asset
+        this.assetMap = {};
+        this.assetUrls = new AssetUrlMap();
+        this.state = new ImportState(path.join(inputDir, '.import-state.json'), spaceId);
+        // Translation mode and languages written by the mapper
+        this.languageSettings = null;
     }
 
     async importAll() {
@@ -34,18 +60,44 @@ class StoryblokImporter {
             throw new Error('Missing required environment variables: STORYBLOK_OAUTH_TOKEN and STORYBLOK_SPACE_ID');
         }
 
+        if (this.dryRun) {
+            return this.planImport();
+        }
+
         try {
+            // Load what previous runs already created, to skip it
+            await this.state.load();
+
+            if (this.upsert) {
+                await this.loadExistingEntities();
+            }
+
+            // Field-level translations need the languages in the space
+            await this.ensureLanguages();
+
             // First, create components if they don't exist
             await this.ensureComponents();
 
             // Import datasources first (they might be referenced by stories)
             await this.importDatasources();
 
+            // Tags of the taxonomies migrated with the `tags` strategy
+            await this.importTags();
+
+            // Import assets before stories, so story content can point to them
+            await this.importAssets();
+
+            // Create the folder tree before the stories placed in it
+            await this.importFolders();
+
             // Import stories
             await this.importStories();
 
-            // Import assets (media files)
-            await this.importAssets();
+            // Point internal links to the stories created above
+            await this.resolveStoryLinks();
+
+            // Unpublish (or delete) the stories of items removed from WordPress
+            await this.syncDeletions();
 
             console.log('✅ Import completed successfully!');
         } catch (error) {
@@ -54,78 +106,105 @@ class StoryblokImporter {
         }
     }
 
+    async loadExistingEntities() {
+        console.log('🔎 Loading existing entities for upsert...');
+
+        const [components, datasources, stories] = await Promise.all([
+            fetchAllPages(this.client, limit, `spaces/${this.spaceId}/components/`, 'components'),
+            fetchAllPages(this.client, limit, `spaces/${this.spaceId}/datasources/`, 'datasources'),
+            fetchAllPages(this.client, limit, `spaces/${this.spaceId}/stories/`, 'stories'),
+        ]);
+
+        this.existing = {
+            components: new Map(components.map(component => [component.name, component])),
+            datasources: new Map(datasources.map(datasource => [datasource.slug, datasource])),
+            // Folders and their start pages share the full slug, so they're kept apart
+            folders: new Map(stories
+                .filter(story => story.is_folder)
+                .map(folder => [folder.full_slug.replace(/\/+$/, ''), folder])),
+            stories: new Map(stories
+                .filter(story => !story.is_folder)
+                .map(story => [story.full_slug, story])),
+            storiesById: new Map(stories.map(story => [story.id, story])),
+        };
+
+        console.log(`  ✓ Found ${components.length} components, ${datasources.length} datasources, ${stories.length} stories and folders`);
+    }
+
+    async loadLanguageSettings() {
+        if (this.languageSettings) return this.languageSettings;
+
+        const languagesPath = path.join(this.inputDir, 'languages.json');
+
+        if (!(await fs.pathExists(languagesPath))) {
+            throw new Error(`${languagesPath} not found: run the mapping step first`);
+        }
+
+        this.languageSettings = await fs.readJson(languagesPath);
+        return this.languageSettings;
+    }
+
+    async ensureLanguages() {
+        const { mode, default_language: defaultLanguage, languages } = await this.loadLanguageSettings();
+
+        // Folder-level translations don't use space languages
+        if (mode !== 'field') return;
+
+        console.log('🌍 Ensuring space languages exist...');
+
+        const response = await limit(() => this.client.get(`spaces/${this.spaceId}`));
+        const spaceLanguages = response.data.space.languages || [];
+
+        const missingLanguages = languages
+            .map(language => (typeof language === 'string' ? { code: language } : language))
+            .filter(language => language.code !== defaultLanguage)
+            .filter(language => !spaceLanguages.some(existing => existing.code === language.code))
+            .map(language => ({ code: language.code, name: language.name || language.code.toUpperCase() }));
+
+        if (missingLanguages.length === 0) {
+            console.log(`  ↺ Languages already exist: ${spaceLanguages.map(l => l.code).join(', ')}`);
+            return;
+        }
+
+        await limit(() =>
+            this.client.put(`spaces/${this.spaceId}`, {
+                space: { languages: [...spaceLanguages, ...missingLanguages] },
+            })
+        );
+        console.log(`  ✓ Added languages: ${missingLanguages.map(l => l.code).join(', ')}`);
+    }
+
     async ensureComponents() {
         console.log('🧩 Ensuring required components exist...');
 
-        const components = [
-            {
-                name: 'article',
-                display_name: 'Article',
-                schema: {
-                    title: {
-                        type: 'text',
-                        required: true,
-                    },
-                    content: {
-                        type: 'richtext',
-                    },
-                    excerpt: {
-                        type: 'richtext',
-                    },
-                    author: {
-                        type: 'option',
-                        source: 'internal_datasource',
-                        datasource_slug: 'authors',
-                    },
-                    featured_image: {
-                        type: 'asset',
-                        filetypes: ['images'],
-                    },
-                    categories: {
-                        type: 'options',
-                        source: 'internal_datasource',
-                        datasource_slug: 'categories',
-                    },
-                    published_date: {
-                        type: 'datetime',
-                    },
-                    seo_title: {
-                        type: 'text',
-                    },
-                    seo_description: {
-                        type: 'textarea',
-                    },
-                },
-                is_root: false,
-                is_nestable: true,
-            },
-            {
-                name: 'page',
-                display_name: 'Page',
-                schema: {
-                    title: {
-                        type: 'text',
-                        required: true,
-                    },
-                    content: {
-                        type: 'richtext',
-                    },
-                    seo_title: {
-                        type: 'text',
-                    },
-                },
-                is_root: false,
-                is_nestable: true,
-            },
-        ];
+        const componentsPath = path.join(this.inputDir, 'components.json');
+
+        if (!(await fs.pathExists(componentsPath))) {
+            console.log('  ℹ️  No components file found, skipping...');
+            return;
+        }
+
+        const components = await fs.readJson(componentsPath);
 
         for (const component of components) {
+            const existingComponent = this.existing?.components.get(component.name);
+            if (existingComponent) {
+                await this.updateComponent(existingComponent, component);
+                continue;
+            }
+
+            if (this.state.has('components', component.name)) {
+                console.log(`  ↺ Component already imported: ${component.name}`);
+                continue;
+            }
+
             try {
-                await limit(() =>
+                const response = await limit(() =>
                     this.client.post(`spaces/${this.spaceId}/components/`, {
                         component,
                     })
                 );
+                await this.state.set('components', component.name, { id: response.data.component.id });
                 console.log(`  ✓ Created component: ${component.name}`);
             } catch (error) {
                 if (error.response?.data?.error === 'Component with this name already exists.') {
@@ -137,6 +216,26 @@ class StoryblokImporter {
         }
     }
 
+    async updateComponent(existingComponent, component) {
+        const changes = diffFields(existingComponent, component, ['display_name', 'schema', 'is_root', 'is_nestable']);
+
+        try {
+            if (Object.keys(changes).length > 0) {
+                await limit(() =>
+                    this.client.put(`spaces/${this.spaceId}/components/${existingComponent.id}`, {
+                        component: { name: component.name, ...changes },
+                    })
+                );
+                console.log(`  ✎ Updated component: ${component.name} (${Object.keys(changes).join(', ')})`);
+            } else {
+                console.log(`  = Component unchanged: ${component.name}`);
+            }
+            await this.state.set('components', component.name, { id: existingComponent.id });
+        } catch (error) {
+            console.warn(`  ⚠️  Could not update component ${component.name}:`, error.message);
+        }
+    }
+
     async importDatasources() {
         console.log('🗂️  Importing datasources...');
 
@@ -151,32 +250,254 @@ class StoryblokImporter {
 
         for (const datasource of datasources) {
             try {
-                await limit(() =>
-                    this.client.post(`spaces/${this.spaceId}/datasources/`, {
-                        datasource: {
-                            name: datasource.name,
-                            slug: datasource.slug,
-                        },
-                    })
+                const existingDatasource = this.existing?.datasources.get(datasource.slug);
+                if (existingDatasource) {
+                    await this.updateDatasource(existingDatasource, datasource);
+                    continue;
+                }
+
+                if (!this.state.has('datasources', datasource.slug)) {
+                    const response = await limit(() =>
+                        this.client.post(`spaces/${this.spaceId}/datasources/`, {
+                            datasource: {
+                                name: datasource.name,
+                                slug: datasource.slug,
+                            },
+                        })
+                    );
+                    await this.state.set('datasources', datasource.slug, { id: response.data.datasource.id });
+                }
+
+                const importedDatasource = this.state.get('datasources', datasource.slug);
+                const dimensionIds = await this.ensureDatasourceDimensions(
+                    importedDatasource.id,
+                    datasource,
+                    importedDatasource.dimensions
                 );
 
-                // Import datasource entries
+                // Import datasource entries (entries of an interrupted run are skipped)
+                let importedEntries = 0;
                 for (const entry of datasource.datasource_entries) {
+                    const entryKey = `${datasource.slug}:${entry.value}:${entry.dimension_value || ''}`;
+                    let entryId = this.state.get('datasource_entries', entryKey)?.id;
+
+                    if (!entryId) {
+                        const response = await limit(() =>
+                            this.client.post(`spaces/${this.spaceId}/datasource_entries/`, {
+                                datasource_entry: {
+                                    name: entry.name,
+                                    value: entry.value,
+                                    dimension_value: entry.dimension_value,
+                                    datasource_slug: datasource.slug,
+                                },
+                            })
+                        );
+                        entryId = response.data.datasource_entry.id;
+                        await this.state.set('datasource_entries', entryKey, { id: entryId });
+                        importedEntries++;
+                    }
+
+                    await this.importEntryDimensionValues(datasource, entry, entryId, dimensionIds);
+                }
+
+                console.log(`  ✓ Imported datasource: ${datasource.name} (${importedEntries}/${datasource.datasource_entries.length} new entries)`);
+            } catch (error) {
+                console.warn(`  ⚠️  Could not import datasource ${datasource.name}:`, error.message);
+            }
+        }
+    }
+
+    async updateDatasource(existingDatasource, datasource) {
+        const changes = diffFields(existingDatasource, datasource, ['name']);
+        if (Object.keys(changes).length > 0) {
+            await limit(() =>
+                this.client.put(`spaces/${this.spaceId}/datasources/${existingDatasource.id}`, {
+                    datasource: { slug: datasource.slug, ...changes },
+                })
+            );
+        }
+        await this.state.set('datasources', datasource.slug, { id: existingDatasource.id });
+
+        const dimensionIds = await this.ensureDatasourceDimensions(
+            existingDatasource.id,
+            datasource,
+            Object.fromEntries((existingDatasource.dimensions || []).map(dimension => [dimension.entry_value, dimension.id]))
+        );
+
+        const existingEntries = await fetchAllPages(
+            this.client,
+            limit,
+            `spaces/${this.spaceId}/datasource_entries/`,
+            'datasource_entries',
+            { datasource_id: existingDatasource.id }
+        );
+        const entriesByValue = new Map(existingEntries.map(entry => [entry.value, entry]));
+
+        let created = 0, updated = 0;
+        for (const entry of datasource.datasource_entries) {
+            const entryKey = `${datasource.slug}:${entry.value}:${entry.dimension_value || ''}`;
+            const existingEntry = entriesByValue.get(entry.value);
+            const datasourceEntry = {
+                name: entry.name,
+                value: entry.value,
+                dimension_value: entry.dimension_value,
+                datasource_id: existingDatasource.id,
+            };
+
+            if (existingEntry) {
+                // Dimension values aren't listed by default, so they're always sent
+                if (Object.keys(diffFields(existingEntry, entry, ['name'])).length > 0 || entry.dimension_value) {
                     await limit(() =>
-                        this.client.post(`spaces/${this.spaceId}/datasource_entries/`, {
-                            datasource_entry: {
-                                name: entry.name,
-                                value: entry.value,
-                                dimension_value: entry.dimension_value,
-                                datasource_slug: datasource.slug,
-                            },
+                        this.client.put(`spaces/${this.spaceId}/datasource_entries/${existingEntry.id}`, {
+                            datasource_entry: datasourceEntry,
                         })
                     );
+                    updated++;
                 }
+                await this.state.set('datasource_entries', entryKey, { id: existingEntry.id });
+                await this.importEntryDimensionValues(datasource, entry, existingEntry.id, dimensionIds, true);
+                continue;
+            }
+
+            const response = await limit(() =>
+                this.client.post(`spaces/${this.spaceId}/datasource_entries/`, {
+                    datasource_entry: datasourceEntry,
+                })
+            );
+            await this.state.set('datasource_entries', entryKey, { id: response.data.datasource_entry.id });
+            await this.importEntryDimensionValues(datasource, entry, response.data.datasource_entry.id, dimensionIds, true);
+            created++;
+        }
+
+        console.log(`  ✎ Upserted datasource: ${datasource.name} (${created} created, ${updated} updated entries)`);
+    }
+
+    /**
+     * Dimensions of a datasource (one per translated language), as entry value → id.
+     * The missing ones are added to the datasource and recorded in the import state.
+     */
+    async ensureDatasourceDimensions(datasourceId, datasource, dimensionIds = {}) {
+        const missing = (datasource.dimensions || []).filter(dimension => !dimensionIds[dimension.entry_value]);
+        if (missing.length === 0) return dimensionIds;
+
+        const response = await limit(() =>
+            this.client.put(`spaces/${this.spaceId}/datasources/${datasourceId}`, {
+                datasource: {
+                    name: datasource.name,
+                    slug: datasource.slug,
+                    dimensions_attributes: missing.map(({ name, entry_value }) => ({ name, entry_value })),
+                },
+            })
+        );
+
+        const dimensions = {
+            ...dimensionIds,
+            ...Object.fromEntries((response.data.datasource?.dimensions || [])
+                .map(dimension => [dimension.entry_value, dimension.id])),
+        };
+        await this.state.set('datasources', datasource.slug, { id: datasourceId, dimensions });
+
+        return dimensions;
+    }
+
+    /**
+     * Translated names of an entry (`dimension_values`), set per dimension.
+     * Already imported values are skipped unless `force` (upsert).
+     */
+    async importEntryDimensionValues(datasource, entry, entryId, dimensionIds, force = false) {
+        for (const [lang, name] of Object.entries(entry.dimension_values || {})) {
+            const entryKey = `${datasource.slug}:${entry.value}:${lang}`;
+            if (!dimensionIds[lang] || (!force && this.state.has('datasource_entries', entryKey))) continue;
+
+            await limit(() =>
+                this.client.put(`spaces/${this.spaceId}/datasource_entries/${entryId}`, {
+                    datasource_entry: { name: entry.name, value: entry.value, dimension_value: name },
+                    dimension_id: dimensionIds[lang],
+                })
+            );
+            await this.state.set('datasource_entries', entryKey, { id: entryId });
+        }
+    }
+
+    async importTags() {
+        console.log('🏷️  Importing tags...');
 
-                console.log(`  ✓ Imported datasource: ${datasource.name} (${datasource.datasource_entries.length} entries)`);
+        const tagsPath = path.join(this.inputDir, 'tags.json');
+
+        if (!(await fs.pathExists(tagsPath))) {
+            console.log('  ℹ️  No tags file found, skipping...');
+            return;
+        }
+
+        const tags = await fs.readJson(tagsPath);
+        const existingTags = await this.fetchExistingTags();
+        let created = 0;
+
+        for (const tag of tags) {
+            if (existingTags.has(tag.name) || this.state.has('tags', tag.name)) continue;
+
+            try {
+                const response = await limit(() =>
+                    this.client.post(`spaces/${this.spaceId}/tags/`, { tag: { name: tag.name } })
+                );
+                await this.state.set('tags', tag.name, { id: response.data.tag?.id ?? null });
+                created++;
             } catch (error) {
-                console.warn(`  ⚠️  Could not import datasource ${datasource.name}:`, error.message);
+                console.warn(`  ⚠️  Could not create tag ${tag.name}:`, error.message);
+            }
+        }
+
+        console.log(`  ✓ Imported tags (${created}/${tags.length} new)`);
+    }
+
+    // Names of the tags already in the space
+    async fetchExistingTags() {
+        const tags = await fetchAllPages(this.client, limit, `spaces/${this.spaceId}/tags/`, 'tags');
+        return new Set(tags.map(tag => tag.name));
+    }
+
+    async importFolders() {
+        console.log('📁 Importing folders...');
+
+        const foldersPath = path.join(this.inputDir, 'folders.json');
+
+        if (!(await fs.pathExists(foldersPath))) {
+            console.log('  ℹ️  No folders file found, skipping...');
+            return;
+        }
+
+        // Sorted parents first by the mapper
+        const folders = await fs.readJson(foldersPath);
+
+        for (const folder of folders) {
+            const existingFolder = this.existing?.folders.get(folder.full_slug);
+            const importedFolder = existingFolder || this.state.get('folders', folder.full_slug);
+
+            if (importedFolder) {
+                this.folderIds.set(folder.full_slug, importedFolder.id);
+                console.log(`  ↺ Folder already exists: ${folder.full_slug}`);
+                continue;
+            }
+
+            try {
+                const response = await limit(() =>
+                    this.client.post(`spaces/${this.spaceId}/stories/`, {
+                        story: {
+                            name: folder.name,
+                            slug: folder.slug,
+                            is_folder: true,
+                            parent_id: this.folderIds.get(folder.parent_path) || 0,
+                        },
+                    })
+                );
+
+                const createdFolder = response.data.story;
+                await this.state.set('folders', folder.full_slug, { id: createdFolder.id });
+                this.folderIds.set(folder.full_slug, createdFolder.id);
+
+                console.log(`  ✓ Created folder: ${folder.full_slug}`);
+            } catch (error) {
+                console.warn(`  ⚠️  Could not create folder ${folder.full_slug}:`, error.message);
             }
         }
     }
@@ -192,10 +513,25 @@ class StoryblokImporter {
         }
 
         const stories = await fs.readJson(storiesPath);
+        const { default_language: defaultLanguage } = await this.loadLanguageSettings();
+
+        // Stories of earlier runs may be missing from a delta sync's stories.json
+        this.trackLedgerStories();
+
+        // Existing stories are known upfront, so links to them resolve right away
+        if (this.existing) {
+            for (const story of stories) {
+                const lang = story.lang || defaultLanguage;
+                const existingStory = this.findExistingStory(story, lang);
+                if (existingStory && hasSourceId(story)) {
+                    this.importedIds.set(getStoryKey(story, lang), existingStory);
+                }
+            }
+        }
 
         // Group stories by language
         const storiesByLang = stories.reduce((acc, story) => {
-            const lang = story.lang || 'en';
+            const lang = story.lang || defaultLanguage;
             if (!acc[lang]) acc[lang] = [];
             acc[lang].push(story);
             return acc;
@@ -206,16 +542,38 @@ class StoryblokImporter {
             console.log(`  🌍 Importing ${lang.toUpperCase()} stories...`);
 
             for (const story of langStories) {
+                const storyKey = getStoryKey(story, lang);
+
                 try {
+                    // Point asset fields and inline images to the imported Storyblok assets
+                    const { content } = rewriteAssetReferences(story.content, this.assetUrls);
+
+                    const existingStory = this.existing && this.findExistingStory(story, lang);
+                    if (existingStory) {
+                        await this.updateStory(existingStory, story, lang, content);
+                        continue;
+                    }
+
+                    const importedStory = this.state.get('stories', storyKey);
+                    if (importedStory) {
+                        this.trackImportedStory(story, lang, importedStory, content);
+                        console.log(`    ↺ Story already imported: ${story.name} (${lang})`);
+                        continue;
+                    }
+
                     const storyData = {
                         name: story.name,
                         slug: story.slug,
-                        content: story.content,
+                        content,
                         is_folder: story.is_folder || false,
-                        parent_id: story.parent_id,
-                        default_root: story.default_root || (lang === 'es' ? 'es/' : ''),
+                        is_startpage: story.is_startpage || false,
+                        parent_id: this.folderIds.get(story.folder_path) || story.parent_id || 0,
                         path: story.path,
                         tag_list: story.tag_list || [],
+                        // Field-level translations: the slug per language
+                        translated_slugs_attributes: story.translated_slugs,
+                        // Folder-level translations: stories sharing a group are alternates
+                        group_id: story.translation_group_id,
                     };
 
                     // Create the story
@@ -226,7 +584,15 @@ class StoryblokImporter {
                     );
 
                     const createdStory = response.data.story;
-                    this.importedIds.set(`${lang}-${story.slug}`, createdStory.id);
+                    const storyRecord = await this.state.set('stories', storyKey, {
+                        id: createdStory.id,
+                        uuid: createdStory.uuid,
+                        full_slug: createdStory.full_slug,
+                        name: createdStory.name,
+                        translated_wp_ids: story.translated_wp_ids,
+                        links_resolved: !hasStoryLinkPlaceholders(content),
+                    });
+                    this.trackImportedStory(story, lang, storyRecord, content);
 
                     console.log(`    ✓ Imported story: ${story.name} (${lang})`);
 
@@ -239,6 +605,418 @@ class StoryblokImporter {
         }
     }
 
+    /**
+     * Existing story of a mapped story: through the import ledger (WordPress id →
+     * Storyblok id) first, so a story still matches after its slug changed in WordPress
+     */
+    findExistingStory(story, lang) {
+        const importedStory = this.state.get('stories', getStoryKey(story, lang));
+
+        return (importedStory && this.existing.storiesById.get(importedStory.id)) ||
+            this.existing.stories.get(getExpectedFullSlug(story)) ||
+            null;
+    }
+
+    /**
+     * Tracks every story in the import ledger, so links to stories left out of
+     * stories.json (unchanged since the last sync) still become story links
+     */
+    trackLedgerStories() {
+        for (const [key, record] of Object.entries(this.state.data.stories)) {
+            if (!key.startsWith('wp-') || record.deleted_at) continue;
+
+            this.importedIds.set(key, record);
+            for (const translatedWpId of Object.values(record.translated_wp_ids || {})) {
+                this.importedIds.set(`wp-${translatedWpId}`, record);
+            }
+        }
+    }
+
+    async diffStory(existingStory, story, content) {
+        // The listing doesn't include content
+        const response = await limit(() =>
+            this.client.get(`spaces/${this.spaceId}/stories/${existingStory.id}`)
+        );
+        const currentStory = response.data.story;
+
+        // Compare with links resolved, otherwise placeholders always look like a change
+        const { content: resolvedContent, unresolved } = resolveStoryLinkPlaceholders(
+            content,
+            wpId => this.importedIds.get(`wp-${wpId}`) || null
+        );
+        const desiredContent = unresolved.length > 0 ? content : resolvedContent;
+
+        const changes = diffFields(currentStory, {
+            name: story.name,
+            slug: story.slug,
+            content: { ...desiredContent, _uid: currentStory.content?._uid },
+            tag_list: story.tag_list || [],
+            group_id: story.translation_group_id,
+        }, ['name', 'slug', 'content', 'tag_list', 'group_id']);
+
+        return { currentStory, changes, unresolved };
+    }
+
+    async updateStory(existingStory, story, lang, content) {
+        const { currentStory, changes, unresolved } = await this.diffStory(existingStory, story, content);
+
+        if (Object.keys(changes).length > 0) {
+            await limit(() =>
+                this.client.put(`spaces/${this.spaceId}/stories/${existingStory.id}`, {
+                    story: changes,
+                    force_update: 1,
+                })
+            );
+            console.log(`    ✎ Updated story: ${story.name} (${lang}): ${Object.keys(changes).join(', ')}`);
+        } else {
+            console.log(`    = Story unchanged: ${story.name} (${lang})`);
+        }
+
+        const storyRecord = await this.state.set('stories', getStoryKey(story, lang), {
+            id: currentStory.id,
+            uuid: currentStory.uuid,
+            full_slug: currentStory.full_slug,
+            name: story.name,
+            translated_wp_ids: story.translated_wp_ids,
+            links_resolved: unresolved.length === 0,
+        });
+        this.trackImportedStory(story, lang, storyRecord, content);
+    }
+
+    /**
+     * Dry run: compares mapped data with the space and the import state,
+     * and reports what would be created, updated, removed, skipped or conflict
+     */
+    async planImport() {
+        console.log('🧪 Dry run: comparing mapped data with the target space...');
+
+        await this.state.load();
+        await this.loadExistingEntities();
+
+        const report = new ImportReport(this.spaceId);
+
+        await this.planLanguages(report);
+        await this.planComponents(report);
+        await this.planDatasources(report);
+        await this.planTags(report);
+        await this.planAssets(report);
+        await this.planFolders(report);
+        await this.planStories(report);
+        await this.planDeletions(report);
+
+        report.print();
+        await report.save(this.inputDir);
+
+        return report;
+    }
+
+    async planLanguages(report) {
+        const { mode, default_language: defaultLanguage, languages } = await this.loadLanguageSettings();
+
+        if (mode !== 'field') return;
+
+        const response = await limit(() => this.client.get(`spaces/${this.spaceId}`));
+        const spaceLanguages = response.data.space.languages || [];
+
+        for (const language of languages) {
+            const code = typeof language === 'string' ? language : language.code;
+
+            if (code === defaultLanguage) continue;
+
+            if (spaceLanguages.some(existing => existing.code === code)) {
+                report.add('languages', 'skip', code, 'already exists');
+            } else {
+                report.add('languages', 'create', code);
+            }
+        }
+    }
+
+    async planComponents(report) {
+        const components = await this.loadJsonFile(path.join(this.inputDir, 'components.json'));
+
+        for (const component of components) {
+            const existingComponent = this.existing.components.get(component.name);
+
+            if (existingComponent) {
+                const changes = this.upsert
+                    ? diffFields(existingComponent, component, ['display_name', 'schema', 'is_root', 'is_nestable'])
+                    : {};
+                if (Object.keys(changes).length > 0) {
+                    report.add('components', 'update', component.name, Object.keys(changes).join(', '));
+                } else {
+                    report.add('components', 'skip', component.name, 'already exists');
+                }
+            } else if (this.state.has('components', component.name)) {
+                report.add('components', 'conflict', component.name, 'in import state but missing from the space');
+            } else {
+                report.add('components', 'create', component.name);
+            }
+        }
+    }
+
+    async planDatasources(report) {
+        const datasources = await this.loadJsonFile(path.join(this.inputDir, 'datasources.json'));
+
+        for (const datasource of datasources) {
+            const existingDatasource = this.existing.datasources.get(datasource.slug);
+            const entryCount = datasource.datasource_entries.length;
+
+            if (!existingDatasource) {
+                if (this.state.has('datasources', datasource.slug)) {
+                    report.add('datasources', 'conflict', datasource.slug, 'in import state but missing from the space');
+                } else {
+                    report.add('datasources', 'create', datasource.slug, `${entryCount} entries`);
+                }
+                continue;
+            }
+
+            if (!this.upsert) {
+                if (this.state.has('datasources', datasource.slug)) {
+                    report.add('datasources', 'skip', datasource.slug, 'already imported');
+                } else {
+                    report.add('datasources', 'conflict', datasource.slug, 'already exists in the space (use --upsert)');
+                }
+                continue;
+            }
+
+            const existingEntries = await fetchAllPages(
+                this.client,
+                limit,
+                `spaces/${this.spaceId}/datasource_entries/`,
+                'datasource_entries',
+                { datasource_id: existingDatasource.id }
+            );
+            const entriesByValue = new Map(existingEntries.map(entry => [entry.value, entry]));
+
+            const newEntries = datasource.datasource_entries.filter(entry => !entriesByValue.has(entry.value)).length;
+            const changedEntries = datasource.datasource_entries.filter(entry => {
+                const existingEntry = entriesByValue.get(entry.value);
+                return existingEntry && Object.keys(diffFields(existingEntry, entry, ['name'])).length > 0;
+            }).length;
+            const renamed = Object.keys(diffFields(existingDatasource, datasource, ['name'])).length > 0;
+
+            if (newEntries || changedEntries || renamed) {
+                report.add('datasources', 'update', datasource.slug, `${newEntries} new, ${changedEntries} changed entries${renamed ? ', name' : ''}`);
+            } else {
+                report.add('datasources', 'skip', datasource.slug, 'unchanged');
+            }
+        }
+    }
+
+    async planTags(report) {
+        const tagsPath = path.join(this.inputDir, 'tags.json');
+        if (!(await fs.pathExists(tagsPath))) return;
+
+        const tags = await fs.readJson(tagsPath);
+        const existingTags = await this.fetchExistingTags();
+
+        for (const tag of tags) {
+            if (existingTags.has(tag.name)) {
+                report.add('tags', 'skip', tag.name, 'already exists');
+            } else {
+                report.add('tags', 'create', tag.name);
+            }
+        }
+    }
+
+    async planAssets(report) {
+        const assets = await this.loadJsonFile(path.join(this.inputDir, 'assets.json'));
+        if (assets.length === 0) return;
+
+        const spaceAssets = await fetchAllPages(this.client, limit, `spaces/${this.spaceId}/assets/`, 'assets');
+        const spaceAssetIds = new Set(spaceAssets.map(spaceAsset => spaceAsset.id));
+        const spaceFileNames = new Set(spaceAssets.map(spaceAsset => getAssetFileName({ filename: spaceAsset.filename })));
+
+        for (const asset of assets) {
+            const name = asset.title || asset.filename;
+            const importedAsset = this.state.get('assets', asset.filename);
+
+            if (importedAsset && !spaceAssetIds.has(importedAsset.id)) {
+                report.add('assets', 'conflict', name, 'in import state but missing from the space');
+            } else if (importedAsset) {
+                // Lets the story diff see the rewritten asset URLs
+                this.trackImportedAsset(asset, importedAsset);
+                report.add('assets', 'skip', name, 'already imported');
+            } else if (asset.local_path && !(await fs.pathExists(asset.local_path))) {
+                report.add('assets', 'conflict', name, `local file missing: ${asset.local_path}`);
+            } else if (spaceFileNames.has(getAssetFileName(asset))) {
+                // Not in the import state: the import would add a duplicate
+                report.add('assets', 'conflict', name, `${getAssetFileName(asset)} already exists in the space`);
+            } else {
+                report.add('assets', 'create', name, asset.local_path ? 'upload' : 'remote URL');
+            }
+        }
+    }
+
+    async planFolders(report) {
+        const folders = await this.loadJsonFile(path.join(this.inputDir, 'folders.json'));
+
+        for (const folder of folders) {
+            if (this.existing.folders.has(folder.full_slug)) {
+                report.add('folders', 'skip', folder.full_slug, 'already exists');
+            } else if (this.existing.stories.has(folder.full_slug)) {
+                report.add('folders', 'conflict', folder.full_slug, 'a story already uses this slug');
+            } else {
+                report.add('folders', 'create', folder.full_slug);
+            }
+        }
+    }
+
+    async planStories(report) {
+        const stories = await this.loadJsonFile(path.join(this.inputDir, 'stories.json'));
+        const { default_language: defaultLanguage } = await this.loadLanguageSettings();
+        const seenSlugs = new Set();
+
+        this.trackLedgerStories();
+
+        for (const story of stories) {
+            const lang = story.lang || defaultLanguage;
+            const existingStory = this.findExistingStory(story, lang);
+            if (existingStory && hasSourceId(story)) {
+                this.importedIds.set(getStoryKey(story, lang), existingStory);
+            }
+        }
+
+        for (const story of stories) {
+            const lang = story.lang || defaultLanguage;
+            const fullSlug = getExpectedFullSlug(story);
+            const name = `${fullSlug} (${lang})`;
+
+            if (seenSlugs.has(fullSlug)) {
+                report.add('stories', 'conflict', name, 'duplicate full slug in mapped data');
+                continue;
+            }
+            seenSlugs.add(fullSlug);
+
+            const existingStory = this.findExistingStory(story, lang);
+            const importedStory = this.state.get('stories', getStoryKey(story, lang));
+
+            if (!existingStory) {
+                if (importedStory) {
+                    report.add('stories', 'conflict', name, 'in import state but missing from the space');
+                } else {
+                    report.add('stories', 'create', name);
+                }
+                continue;
+            }
+
+            if (!this.upsert) {
+                if (importedStory) {
+                    report.add('stories', 'skip', name, 'already imported');
+                } else {
+                    report.add('stories', 'conflict', name, 'slug already taken in the space (use --upsert)');
+                }
+                continue;
+            }
+
+            const { content } = rewriteAssetReferences(story.content, this.assetUrls);
+            const { changes } = await this.diffStory(existingStory, story, content);
+
+            if (Object.keys(changes).length > 0) {
+                report.add('stories', 'update', name, Object.keys(changes).join(', '));
+            } else {
+                report.add('stories', 'skip', name, 'unchanged');
+            }
+        }
+    }
+
+    async planDeletions(report) {
+        for (const { key, record } of await this.loadPendingDeletions()) {
+            report.add('stories', 'delete', record.full_slug || key,
+                this.deleteRemoved ? 'deleted in WordPress' : 'deleted in WordPress, will be unpublished');
+        }
+    }
+
+    trackImportedStory(story, lang, storyRecord, content) {
+        this.importedIds.set(`${lang}-${story.slug}`, storyRecord);
+        if (hasSourceId(story)) {
+            this.importedIds.set(getStoryKey(story, lang), storyRecord);
+        }
+        // Field-level translations: links to a translated item point to this story
+        for (const translatedWpId of Object.values(story.translated_wp_ids || {})) {
+            this.importedIds.set(`wp-${translatedWpId}`, storyRecord);
+        }
+
+        if (!storyRecord.links_resolved) {
+            this.storiesWithLinks.push({ ...storyRecord, key: getStoryKey(story, lang), content });
+        }
+    }
+
+    async resolveStoryLinks() {
+        if (this.storiesWithLinks.length === 0) return;
+
+        console.log('🔗 Resolving internal links...');
+
+        for (const story of this.storiesWithLinks) {
+            const { content, resolved, unresolved } = resolveStoryLinkPlaceholders(
+                story.content,
+                wpId => this.importedIds.get(`wp-${wpId}`) || null
+            );
+
+            if (unresolved.length > 0) {
+                console.warn(`  ⚠️  ${story.name}: no imported story for WordPress ids ${unresolved.join(', ')}, kept as URL links`);
+            }
+
+            try {
+                await limit(() =>
+                    this.client.put(`spaces/${this.spaceId}/stories/${story.id}`, {
+                        story: { content },
+                    })
+                );
+                // Unresolved links are already downgraded to URL links, so this is final
+                await this.state.set('stories', story.key, { links_resolved: true });
+                console.log(`  ✓ Resolved ${resolved} links in ${story.name}`);
+            } catch (error) {
+                console.warn(`  ⚠️  Could not update links in ${story.name}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Imported stories of the items listed in the mapped deletions.json,
+     * minus those never imported or already handled by an earlier run
+     */
+    async loadPendingDeletions() {
+        const deletionsPath = path.join(this.inputDir, 'deletions.json');
+
+        if (!(await fs.pathExists(deletionsPath))) return [];
+
+        const deletions = await fs.readJson(deletionsPath);
+
+        // Posts (`wp-12`) and taxonomy terms (`wp-term-3`), keyed like their stories
+        return deletions
+            .map(deletion => getStoryKey(deletion, deletion.lang))
+            .map(key => ({ key, record: this.state.get('stories', key) }))
+            .filter(({ record }) => record && !record.deleted_at && (this.deleteRemoved || !record.unpublished_at));
+    }
+
+    async syncDeletions() {
+        const pendingDeletions = await this.loadPendingDeletions();
+        if (pendingDeletions.length === 0) return;
+
+        console.log(`🗑️  ${this.deleteRemoved ? 'Deleting' : 'Unpublishing'} stories removed from WordPress...`);
+
+        for (const { key, record } of pendingDeletions) {
+            try {
+                if (this.deleteRemoved) {
+                    await limit(() =>
+                        this.client.delete(`spaces/${this.spaceId}/stories/${record.id}`)
+                    );
+                    await this.state.set('stories', key, { deleted_at: new Date().toISOString() });
+                    console.log(`  ✓ Deleted story: ${record.name}`);
+                } else {
+                    await limit(() =>
+                        this.client.get(`spaces/${this.spaceId}/stories/${record.id}/unpublish`)
+                    );
+                    await this.state.set('stories', key, { unpublished_at: new Date().toISOString() });
+                    console.log(`  ✓ Unpublished story: ${record.name}`);
+                }
+            } catch (error) {
+                console.warn(`  ⚠️  Could not remove story ${record.name}:`, error.message);
+            }
+        }
+    }
+
     async importAssets() {
         console.log('🖼️  Importing assets...');
 
@@ -252,26 +1030,105 @@ class StoryblokImporter {
         const assets = await fs.readJson(assetsPath);
 
         for (const asset of assets) {
+            const importedAsset = this.state.get('assets', asset.filename);
+            if (importedAsset) {
+                this.trackImportedAsset(asset, importedAsset);
+                continue;
+            }
+
             try {
-                // For external URLs, we'll import them by URL
-                if (asset.filename.startsWith('http')) {
-                    const response = await limit(() =>
-                        this.client.post(`spaces/${this.spaceId}/assets/`, {
-                            filename: asset.filename,
-                            alt: asset.alt || '',
-                            title: asset.title || '',
-                        })
-                    );
+                const hasLocalFile = asset.local_path && await fs.pathExists(asset.local_path);
 
-                    console.log(`  ✓ Imported asset: ${asset.title || asset.filename}`);
+                // Downloaded files are uploaded; hotlinked media is imported by its remote URL
+                const importedAsset = hasLocalFile
+                    ? await this.uploadAsset(asset)
+                    : await this.importRemoteAsset(asset);
 
-                    // Add a small delay
-                    await new Promise(resolve => setTimeout(resolve, 300));
-                }
+                await this.state.set('assets', asset.filename, importedAsset);
+                this.trackImportedAsset(asset, importedAsset);
+
+                console.log(`  ✓ ${hasLocalFile ? 'Uploaded' : 'Imported'} asset: ${asset.title || asset.filename}`);
+
+                // Add a small delay
+                await new Promise(resolve => setTimeout(resolve, 300));
             } catch (error) {
                 console.warn(`  ⚠️  Could not import asset ${asset.filename}:`, error.message);
             }
         }
+
+        await fs.writeJson(path.join(this.inputDir, 'asset-map.json'), this.assetMap, { spaces: 2 });
+        console.log(`  ✓ Saved ${Object.keys(this.assetMap).length} entries to asset-map.json`);
+    }
+
+    trackImportedAsset(asset, importedAsset) {
+        this.assetMap[asset.filename] = {
+            id: importedAsset.id,
+            filename: importedAsset.filename,
+            wp_id: asset.wp_id,
+            sizes: asset.sizes || [],
+        };
+        this.assetUrls.add(asset, importedAsset);
+    }
+
+    /**
+     * Storyblok signed upload: request a signed upload, POST the file to S3, then finalize
+     */
+    async uploadAsset(asset) {
+        const fileName = path.basename(asset.local_path);
+
+        const signResponse = await limit(() =>
+            this.client.post(`spaces/${this.spaceId}/assets/`, {
+                filename: fileName,
+                size: asset.width && asset.height ? `${asset.width}x${asset.height}` : undefined,
+                alt: asset.alt || '',
+                title: asset.title || '',
+                validate_upload: 1,
+            })
+        );
+        const signedUpload = signResponse.data;
+
+        const form = new FormData();
+        for (const [key, value] of Object.entries(signedUpload.fields)) {
+            form.append(key, value);
+        }
+        const fileBuffer = await fs.readFile(asset.local_path);
+        form.append('file', new Blob([fileBuffer]), fileName);
+
+        const uploadResponse = await fetch(signedUpload.post_url, {
+            method: 'POST',
+            body: form,
+        });
+
+        if (!uploadResponse.ok) {
+            throw new Error(`Upload failed: HTTP ${uploadResponse.status}: ${uploadResponse.statusText}`);
+        }
+
+        await limit(() =>
+            this.client.get(`spaces/${this.spaceId}/assets/${signedUpload.id}/finish_upload`)
+        );
+
+        const publicUrl = signedUpload.pretty_url || signedUpload.public_url;
+
+        return {
+            id: signedUpload.id,
+            // pretty_url is protocol-relative (//a.storyblok.com/f/...)
+            filename: publicUrl.startsWith('//') ? `https:${publicUrl}` : publicUrl,
+        };
+    }
+
+    async importRemoteAsset(asset) {
+        const response = await limit(() =>
+            this.client.post(`spaces/${this.spaceId}/assets/`, {
+                filename: asset.filename,
+                alt: asset.alt || '',
+                title: asset.title || '',
+            })
+        );
+
+        return {
+            id: response.data.id,
+            filename: response.data.filename || asset.filename,
+        };
     }
 
     async loadJsonFile(filePath) {
@@ -295,15 +1152,27 @@ async function main() {
         process.exit(1);
     }
 
+    const { values: flags } = parseArgs({
+        options: {
+            upsert: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            'delete-removed': { type: 'boolean', default: false },
+        },
+    });
+
     const importer = new StoryblokImporter(
         INPUT_DIR,
         STORYBLOK_OAUTH_TOKEN,
-        STORYBLOK_SPACE_ID
+        STORYBLOK_SPACE_ID,
+        { upsert: flags.upsert, dryRun: flags['dry-run'], deleteRemoved: flags['delete-removed'] }
     );
 
     await importer.importAll();
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-    main().catch(console.error);
+    main().catch(error => {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    });
 }
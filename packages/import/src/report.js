@@ -0,0 +1,122 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export const REPORT_ACTIONS = ['create', 'update', 'delete', 'skip', 'conflict'];
+const ACTION_ICONS = { create: '+', update: '✎', delete: '−', skip: '=', conflict: '✗' };
+
+/**
+ * Collects what an import would do per entity type, for `--dry-run`
+ */
+export class ImportReport {
+    constructor(spaceId) {
+        this.spaceId = spaceId;
+        this.entries = [];
+    }
+
+    add(type, action, name, details = '') {
+        this.entries.push({ type, action, name, details });
+    }
+
+    getSummary() {
+        const summary = {};
+        for (const { type, action } of this.entries) {
+            summary[type] ??= Object.fromEntries(REPORT_ACTIONS.map(a => [a, 0]));
+            summary[type][action]++;
+        }
+        return summary;
+    }
+
+    hasConflicts() {
+        return this.entries.some(entry => entry.action === 'conflict');
+    }
+
+    print() {
+        console.log('\n📋 Dry-run report (nothing was written):');
+
+        for (const [type, counts] of Object.entries(this.getSummary())) {
+            console.log(`\n  ${type}: ${REPORT_ACTIONS.map(action => `${counts[action]} ${action}`).join(', ')}`);
+
+            for (const entry of this.entries.filter(e => e.type === type && e.action !== 'skip')) {
+                console.log(`    ${ACTION_ICONS[entry.action]} ${entry.name}${entry.details ? ` — ${entry.details}` : ''}`);
+            }
+        }
+    }
+
+    async save(outputDir) {
+        const generatedAt = new Date().toISOString();
+        const report = {
+            generated_at: generatedAt,
+            space_id: this.spaceId,
+            summary: this.getSummary(),
+            entries: this.entries,
+        };
+
+        const jsonPath = path.join(outputDir, 'import-report.json');
+        const htmlPath = path.join(outputDir, 'import-report.html');
+
+        await fs.writeJson(jsonPath, report, { spaces: 2 });
+        await fs.writeFile(htmlPath, this.toHtml(report));
+
+        console.log(`\n  ✓ Saved report to ${path.basename(jsonPath)} and ${path.basename(htmlPath)}`);
+    }
+
+    toHtml(report) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const summaryRows = Object.entries(report.summary).map(([type, counts]) =>
+            `<tr><th>${escape(type)}</th>${REPORT_ACTIONS.map(a => `<td class="${a}">${counts[a]}</td>`).join('')}</tr>`
+        ).join('\n');
+
+        const entryRows = report.entries.map(entry =>
+            `<tr class="${entry.action}"><td>${escape(entry.type)}</td><td>${entry.action}</td><td>${escape(entry.name)}</td><td>${escape(entry.details)}</td></tr>`
+        ).join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Import dry-run — space ${escape(report.space_id)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+  .create { color: #0a7d32; } .update { color: #a05a00; } .delete { color: #800080; } .skip { color: #777; } .conflict { color: #c00; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Import dry-run — space ${escape(report.space_id)}</h1>
+<p>Generated at ${escape(report.generated_at)}</p>
+<table>
+<tr><th></th>${REPORT_ACTIONS.map(a => `<th>${a}</th>`).join('')}</tr>
+${summaryRows}
+</table>
+<table>
+<tr><th>Type</th><th>Action</th><th>Name</th><th>Details</th></tr>
+${entryRows}
+</table>
+</body>
+</html>
+`;
+    }
+}
+
+/**
+ * Wraps the Management API client so any write call fails instead of reaching the space
+ */
+export function createReadOnlyClient(client) {
+    return new Proxy(client, {
+        get(target, property) {
+            if (['post', 'put', 'delete', 'patch'].includes(property)) {
+                return () => {
+                    throw new Error(`Dry run: refusing to call ${String(property).toUpperCase()}`);
+                };
+            }
+            const value = target[property];
+            return typeof value === 'function' ? value.bind(target) : value;
+        },
+    });
+}
@@ -0,0 +1,96 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const STATE_VERSION = 1;
+const ENTITY_TYPES = ['components', 'datasources', 'datasource_entries', 'tags', 'assets', 'folders', 'stories'];
+
+/**
+ * Persisted ledger of everything the importer created in a space, keyed by
+ * source key (component name, datasource slug, WordPress URL/id...).
+ * Reruns skip what's recorded, and an interrupted import resumes where it stopped.
+ */
+export class ImportState {
+    constructor(filePath, spaceId) {
+        this.filePath = filePath;
+        this.spaceId = String(spaceId);
+        this.data = this.createEmptyState();
+    }
+
+    createEmptyState() {
+        return {
+            version: STATE_VERSION,
+            space_id: this.spaceId,
+            updated_at: null,
+            ...Object.fromEntries(ENTITY_TYPES.map(type => [type, {}])),
+        };
+    }
+
+    async load() {
+        if (!(await fs.pathExists(this.filePath))) {
+            return this;
+        }
+
+        const saved = await fs.readJson(this.filePath);
+
+        // A ledger from another space would skip entities that don't exist here
+        if (String(saved.space_id) !== this.spaceId) {
+            console.warn(`  ⚠️  Ignoring ${path.basename(this.filePath)}: it belongs to space ${saved.space_id}`);
+            return this;
+        }
+
+        this.data = { ...this.createEmptyState(), ...saved };
+        const counts = ENTITY_TYPES.map(type => `${Object.keys(this.data[type]).length} ${type}`);
+        console.log(`  ↺ Resuming from ${path.basename(this.filePath)}: ${counts.join(', ')}`);
+
+        return this;
+    }
+
+    get(type, key) {
+        return this.data[type][key] || null;
+    }
+
+    has(type, key) {
+        return Boolean(this.data[type][key]);
+    }
+
+    /**
+     * Records an entity and saves right away, so nothing is lost if the import stops
+     */
+    async set(type, key, record) {
+        this.data[type][key] = {
+            ...this.data[type][key],
+            ...record,
+            updated_at: new Date().toISOString(),
+        };
+        await this.save();
+        return this.data[type][key];
+    }
+
+    async save() {
+        this.data.updated_at = new Date().toISOString();
+
+        // Write to a temp file first: an interrupted write must not corrupt the ledger
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeJson(tempPath, this.data, { spaces: 2 });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+    }
+}
+
+/**
+ * Whether a mapped story comes from a WordPress post, taxonomy term or user,
+ * i.e. whether links to it hold a `wp-story:` placeholder
+ */
+export function hasSourceId(story) {
+    return Boolean(story.wp_id || story.wp_term_id || story.wp_user_id);
+}
+
+/**
+ * Source key of a mapped story: its WordPress id (or taxonomy term or user id) when known,
+ * language + slug otherwise. Matches the `wp-story:<id>` placeholders of links to it.
+ */
+export function getStoryKey(story, lang) {
+    if (story.wp_id) return `wp-${story.wp_id}`;
+    if (story.wp_term_id) return `wp-term-${story.wp_term_id}`;
+    if (story.wp_user_id) return `wp-user-${story.wp_user_id}`;
+    return `${lang}-${story.slug}`;
+}
@@ -0,0 +1,71 @@
+// Keys Storyblok adds (or the mapper regenerates) that don't represent a content change
+const IGNORED_KEYS = new Set(['_uid', '_editable']);
+
+/**
+ * Stable JSON representation for comparison: sorted keys, no volatile keys
+ */
+function normalizeForDiff(value) {
+    if (Array.isArray(value)) {
+        return value.map(normalizeForDiff);
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value ?? null;
+    }
+
+    return Object.keys(value)
+        .filter(key => !IGNORED_KEYS.has(key))
+        .sort()
+        .reduce((acc, key) => {
+            acc[key] = normalizeForDiff(value[key]);
+            return acc;
+        }, {});
+}
+
+export function isEqualForDiff(a, b) {
+    return JSON.stringify(normalizeForDiff(a)) === JSON.stringify(normalizeForDiff(b));
+}
+
+/**
+ * Returns only the fields of `desired` that differ from `existing`
+ */
+export function diffFields(existing, desired, fields) {
+    const changes = {};
+
+    for (const field of fields) {
+        if (desired[field] === undefined) continue;
+
+        if (!isEqualForDiff(existing?.[field], desired[field])) {
+            changes[field] = desired[field];
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Fetches every page of a Management API collection
+ */
+export async function fetchAllPages(client, limit, resourcePath, key, params = {}) {
+    const perPage = 100;
+    const results = [];
+
+    for (let page = 1; ; page++) {
+        const response = await limit(() =>
+            client.get(resourcePath, { ...params, page, per_page: perPage })
+        );
+        const items = response.data[key] || [];
+        results.push(...items);
+
+        if (items.length < perPage) break;
+    }
+
+    return results;
+}
+
+/**
+ * Full slug a mapped story will have in Storyblok
+ */
+export function getExpectedFullSlug(story) {
+    return story.full_slug || story.slug;
+}
@@ -0,0 +1,96 @@
+/**
+ * Example mapping configuration.
+ *
+ * Usage (relative paths are resolved from where the command runs, or the workspace root):
+ *   MAPPING_CONFIG=./packages/mapping/mapping.config.example.js pnpm map
+ *   storyblok wp-migrator mapping --config ./packages/mapping/mapping.config.example.js
+ */
+import { defaultComponents } from './src/components.js';
+
+const article = defaultComponents.find(component => component.name === 'article');
+
+export default {
+    contentTypes: {
+        posts: {
+            component: 'article',
+            fields: {
+                title: 'title.rendered',
+                content: { source: 'content.rendered', transform: 'richtext' },
+                // Markdown instead of richtext: the `markdown` transform also makes it a markdown field
+                excerpt: { source: 'excerpt.rendered', transform: 'markdown' },
+                featured_image: { source: 'featured_media', transform: 'featuredImage', default: null },
+                published_date: 'date',
+                reading_time: { source: 'content.rendered', transform: ['stripHtml', 'readingTime'] },
+            },
+        },
+        pages: {
+            component: 'page',
+            fields: {
+                title: 'title.rendered',
+                body: { source: 'blocks', transform: 'blocks', default: [] },
+            },
+        },
+        // Custom post types are exported as `<rest_base>.json`, e.g. an `event` type:
+        // events: {
+        //     component: 'event',
+        //     // ACF field groups by key or title (default: the groups targeting the post type)
+        //     acf: ['Event details'],
+        //     fields: {
+        //         title: 'title.rendered',
+        //         body: { source: 'blocks', transform: 'blocks', default: [] },
+        //     },
+        // },
+    },
+    // How each taxonomy is migrated: `tags`, `datasource`, `stories` or `false`
+    taxonomies: {
+        category: { strategy: 'stories', component: 'category', folder: 'categories', field: 'categories' },
+        post_tag: { strategy: 'tags' },
+        // genre: { strategy: 'datasource', datasource: 'genres', field: 'genres' },
+    },
+    // Authors as `author` stories (bio, avatar, links) referenced from articles
+    authors: { strategy: 'stories', field: 'author' },
+    // Yoast / Rank Math metadata into the SEO app field of articles and pages
+    seo: { field: 'seo', contentTypes: ['posts', 'pages'], robotsField: false },
+    // Custom Gutenberg block transformers, merged over the core ones
+    blocks: {
+        'core/quote': (block, { richtext }) => ({
+            component: 'quote',
+            text: richtext(block.innerHTML),
+            cite: block.attributes.citation || '',
+        }),
+    },
+    // Custom shortcode transformers, merged over the default ones (gallery, caption, embed, forms)
+    shortcodes: {
+        button: ({ attrs, content }) => ({
+            component: 'button',
+            label: content || '',
+            link: { url: attrs.url || '', linktype: 'url' },
+        }),
+    },
+    // Components added to (or replacing) the default ones in components.json
+    components: [
+        // The default article, with the `reading_time` mapped above
+        { ...article, schema: { ...article.schema, reading_time: { type: 'number' } } },
+        // Produced by the `core/quote` transformer above
+        {
+            name: 'quote',
+            display_name: 'Quote',
+            schema: {
+                text: { type: 'richtext' },
+                cite: { type: 'text' },
+            },
+            is_root: false,
+            is_nestable: true,
+        },
+    ],
+    // Components generated from exported block_schemas.json
+    schemas: {
+        whitelist: ['core/details'],
+        rename: { 'core/details': 'accordion' },
+        fields: { 'core/details': { showContent: 'open' } },
+    },
+    // Custom transforms, referenced by name from field specs
+    transforms: {
+        readingTime: (text) => Math.max(1, Math.round(text.split(/\s+/).length / 200)),
+    },
+};
@@ -0,0 +1,283 @@
+import { randomUUID } from 'crypto';
+import { createStoryLinkPlaceholder } from '@migration/shared';
+
+/**
+ * Advanced Custom Fields: field groups (`acf_field_groups.json`) become fields of
+ * the content type components they're assigned to, repeater and group rows become
+ * nested bloks, and each flexible content layout becomes its own nestable component.
+ */
+
+// Presentational ACF fields without a value
+const LAYOUT_FIELD_TYPES = ['tab', 'message', 'accordion'];
+
+// Field types with a Storyblok equivalent; others (taxonomy, user, google_map...) are skipped
+const SUPPORTED_FIELD_TYPES = [
+    'text', 'email', 'password', 'color_picker', 'time_picker', 'oembed', 'textarea', 'wysiwyg',
+    'number', 'range', 'true_false', 'select', 'radio', 'button_group', 'checkbox',
+    'date_picker', 'date_time_picker', 'image', 'file', 'gallery', 'url', 'link', 'page_link',
+    'relationship', 'post_object', 'repeater', 'group', 'flexible_content',
+];
+
+/**
+ * Component name of a repeater/group row or flexible content layout, e.g. `event_lineup`
+ */
+export function getAcfComponentName(parentComponent, name) {
+    return `${parentComponent}_${name}`.replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+}
+
+/**
+ * Field groups of a content type: the ones listed in its `acf` option (by key or
+ * title), or by default every group with a `post_type == <postType>` location rule
+ */
+export function getContentTypeFieldGroups(fieldGroups, postType, selection = true) {
+    if (selection === false) return [];
+
+    if (Array.isArray(selection)) {
+        return fieldGroups.filter(group => selection.includes(group.key) || selection.includes(group.title));
+    }
+
+    // Location rules are OR-ed groups of AND-ed rules
+    return fieldGroups.filter(group => group.active !== false && (group.location || []).some(rules =>
+        rules.some(rule => rule.param === 'post_type' && rule.operator === '==' && rule.value === postType)
+    ));
+}
+
+function toOptions(choices) {
+    return Object.entries(choices || {}).map(([value, name]) => ({ name: String(name), value: String(value) }));
+}
+
+/**
+ * Converts a single ACF field definition into a Storyblok field, or null when
+ * it has no equivalent. Nested row/layout components are added to `components`.
+ */
+function acfFieldToField(field, parentComponent, components) {
+    switch (field.type) {
+        case 'text':
+        case 'email':
+        case 'password':
+        case 'color_picker':
+        case 'time_picker':
+        case 'oembed':
+            return { type: 'text', default_value: field.default_value || undefined };
+        case 'textarea':
+            return { type: 'textarea', default_value: field.default_value || undefined };
+        case 'wysiwyg':
+            return { type: 'richtext' };
+        case 'number':
+        case 'range':
+            return { type: 'number', min_value: field.min ?? undefined, max_value: field.max ?? undefined };
+        case 'true_false':
+            return { type: 'boolean', default_value: Boolean(field.default_value) };
+        case 'select':
+        case 'radio':
+        case 'button_group':
+        case 'checkbox':
+            return {
+                type: field.type === 'checkbox' || field.multiple ? 'options' : 'option',
+                options: toOptions(field.choices),
+            };
+        case 'date_picker':
+        case 'date_time_picker':
+            return { type: 'datetime', disable_time: field.type === 'date_picker' };
+        case 'image':
+            return { type: 'asset', filetypes: ['images'] };
+        case 'file':
+            return { type: 'asset', filetypes: ['images', 'videos', 'audios', 'texts'] };
+        case 'gallery':
+            return { type: 'multiasset', filetypes: ['images'] };
+        case 'url':
+        case 'link':
+        case 'page_link':
+            return { type: 'multilink' };
+        case 'relationship':
+        case 'post_object':
+            return {
+                type: field.type === 'relationship' || field.multiple ? 'options' : 'option',
+                source: 'internal_stories',
+                maximum: field.max || undefined,
+            };
+        case 'repeater':
+        case 'group': {
+            const rowComponent = getAcfComponentName(parentComponent, field.name);
+            components.push(createAcfComponent(rowComponent, field.label, field.sub_fields, components));
+            return {
+                type: 'bloks',
+                restrict_components: true,
+                component_whitelist: [rowComponent],
+                ...(field.type === 'group' ? { maximum: 1 } : { minimum: field.min || undefined, maximum: field.max || undefined }),
+            };
+        }
+        case 'flexible_content': {
+            const layoutComponents = (field.layouts || []).map(layout => {
+                const layoutComponent = getAcfComponentName(parentComponent, layout.name);
+                components.push(createAcfComponent(layoutComponent, layout.label, layout.sub_fields, components));
+                return layoutComponent;
+            });
+            return { type: 'bloks', restrict_components: true, component_whitelist: layoutComponents };
+        }
+        default:
+            return null;
+    }
+}
+
+function createAcfComponent(name, displayName, fields, components) {
+    return {
+        name,
+        display_name: displayName || name,
+        schema: generateAcfSchema(fields, name, components).schema,
+        is_root: false,
+        is_nestable: true,
+    };
+}
+
+/**
+ * Storyblok schema of a list of ACF fields in a component. Returns the
+ * schema, the nested components it needs, and the fields with no equivalent.
+ */
+export function generateAcfSchema(fields, componentName, components = []) {
+    const schema = {};
+    const skipped = [];
+
+    for (const field of fields || []) {
+        if (LAYOUT_FIELD_TYPES.includes(field.type)) continue;
+
+        if (!SUPPORTED_FIELD_TYPES.includes(field.type)) {
+            skipped.push(`${field.name} (${field.type})`);
+            continue;
+        }
+
+        const definition = acfFieldToField(field, componentName, components);
+
+        schema[field.name] = {
+            ...Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined)),
+            display_name: field.label || field.name,
+            ...(field.required ? { required: true } : {}),
+            ...(field.instructions ? { description: field.instructions } : {}),
+        };
+    }
+
+    return { schema, components, skipped };
+}
+
+// ACF values are IDs unformatted, or objects when formatted by the ACF REST API
+function toId(value) {
+    if (value && typeof value === 'object') return Number(value.ID ?? value.id);
+    return Number(value);
+}
+
+function toAsset(value, { data }) {
+    if (!value) return null;
+
+    const media = data.media?.find(m => m.id === toId(value));
+    if (media) {
+        return {
+            filename: media.source_url,
+            alt: media.alt_text || media.title?.rendered || '',
+            title: media.title?.rendered || '',
+        };
+    }
+
+    // Formatted as a URL, or as an array with one
+    const url = typeof value === 'string' ? value : value.url;
+    return url && Number.isNaN(Number(url)) ? { filename: url, alt: value.alt || '', title: value.title || '' } : null;
+}
+
+// ACF dates: `Ymd` (date picker) and `Y-m-d H:i:s` (date time picker) → `YYYY-MM-DD HH:mm`
+function toDatetime(value) {
+    if (!value) return '';
+
+    const compact = String(value).match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) return `${compact[1]}-${compact[2]}-${compact[3]} 00:00`;
+
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})/);
+    return match ? `${match[1]} ${match[2]}` : String(value);
+}
+
+function toLink(value) {
+    if (!value) return { url: '', linktype: 'url' };
+
+    // Page links to a WordPress item by ID point to its story
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        return { id: createStoryLinkPlaceholder(Number(value)), url: '', linktype: 'story', cached_url: '' };
+    }
+
+    // Internal URLs are rewritten to story links with the rest of the content
+    const url = typeof value === 'string' ? value : value.url || '';
+    return { url, linktype: 'url', ...(value.target ? { target: value.target } : {}) };
+}
+
+/**
+ * Converts the value of a single ACF field into its Storyblok field value
+ */
+function mapAcfValue(field, value, componentName, context) {
+    switch (field.type) {
+        case 'wysiwyg':
+            return context.mapper.convertHtmlToRichText(value || '');
+        case 'number':
+        case 'range':
+            return value === undefined || value === null || value === '' ? null : Number(value);
+        case 'true_false':
+            return Boolean(Number(value));
+        case 'select':
+        case 'radio':
+        case 'button_group':
+        case 'checkbox':
+            if (field.type === 'checkbox' || field.multiple) {
+                return [].concat(value || []).map(String);
+            }
+            return value === undefined || value === null ? '' : String(value);
+        case 'date_picker':
+        case 'date_time_picker':
+            return toDatetime(value);
+        case 'image':
+        case 'file':
+            return toAsset(value, context);
+        case 'gallery':
+            return [].concat(value || []).map(item => toAsset(item, context)).filter(Boolean);
+        case 'url':
+        case 'link':
+        case 'page_link':
+            return toLink(value);
+        case 'relationship':
+        case 'post_object': {
+            // Story references hold placeholders, replaced with story UUIDs by the importer
+            const references = [].concat(value || []).map(item => createStoryLinkPlaceholder(toId(item)));
+            return field.type === 'relationship' || field.multiple ? references : (references[0] || '');
+        }
+        case 'repeater':
+            return [].concat(value || []).map(row =>
+                createAcfBlok(getAcfComponentName(componentName, field.name), field.sub_fields, row, context)
+            );
+        case 'group':
+            return value ? [createAcfBlok(getAcfComponentName(componentName, field.name), field.sub_fields, value, context)] : [];
+        case 'flexible_content':
+            return [].concat(value || []).flatMap(row => {
+                const layout = (field.layouts || []).find(candidate => candidate.name === row.acf_fc_layout);
+                return layout
+                    ? [createAcfBlok(getAcfComponentName(componentName, layout.name), layout.sub_fields, row, context)]
+                    : [];
+            });
+        default:
+            return value === undefined || value === null ? '' : String(value);
+    }
+}
+
+function createAcfBlok(component, fields, row, context) {
+    return { _uid: randomUUID(), component, ...mapAcfValues(fields, row, component, context) };
+}
+
+/**
+ * Story (or blok) content fields from the ACF values of an item, following the
+ * field definitions so fields without a Storyblok equivalent are left out
+ */
+export function mapAcfValues(fields, values, componentName, context) {
+    const content = {};
+
+    for (const field of fields || []) {
+        if (!SUPPORTED_FIELD_TYPES.includes(field.type) || !(field.name in (values || {}))) continue;
+
+        content[field.name] = mapAcfValue(field, values[field.name], componentName, context);
+    }
+
+    return content;
+}
@@ -0,0 +1,199 @@
+import { randomUUID } from 'crypto';
+import slugify from 'slugify';
+import path from 'path';
+import { createStoryLinkPlaceholder, getAvatarUrl } from '@migration/shared';
+import { applyLanguageRootFolder } from './folders.js';
+
+/**
+ * How WordPress users (post authors) are migrated:
+ * - `datasource`: an `authors` datasource of names, referenced from an `option` field
+ * - `stories`: an author story per user (name, bio, avatar, website and social links),
+ *   referenced from an `option` field with `source: internal_stories`
+ * - `false`: not migrated
+ */
+export const AUTHOR_STRATEGIES = ['datasource', 'stories'];
+
+// Placeholder key of an author story, so it never clashes with a post ID (`wp-story:user-3`)
+export function getAuthorStoryKey(userId) {
+    return `user-${userId}`;
+}
+
+// Profile URLs (`sameAs`) of the user's Person node, when Yoast SEO is active
+function getSocialUrls(user) {
+    const graph = user.yoast_head_json?.schema?.['@graph'] || [];
+    const person = graph.find(node => [].concat(node['@type']).includes('Person'));
+    return [].concat(person?.sameAs || []).filter(url => url && url !== user.url);
+}
+
+function getNetworkName(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '').split('.')[0];
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Migrates the exported users following the `authors` mapping config
+ */
+export class AuthorMapper {
+    constructor(authorsConfig, { users, defaultLanguage, contentTypes = {} }) {
+        this.users = users || [];
+        // Components of the content types with an author field (collection keys, default `posts`)
+        this.components = new Set((authorsConfig?.contentTypes || ['posts'])
+            .map(type => contentTypes[type]?.component)
+            .filter(Boolean));
+        this.defaultLanguage = defaultLanguage;
+        this.strategy = authorsConfig?.strategy || false;
+        this.field = authorsConfig?.field || 'author';
+        this.datasource = authorsConfig?.datasource || 'authors';
+        this.component = authorsConfig?.component || 'author';
+        this.folder = authorsConfig?.folder ?? 'authors';
+    }
+
+    findUser(id) {
+        return this.users.find(user => user.id === Number(id)) || null;
+    }
+
+    /**
+     * Author field of a mapped item: the datasource value of the author's name,
+     * or a reference to the author story
+     */
+    mapItemAuthor(item, typeConfig) {
+        if (!this.strategy || !this.components.has(typeConfig.component)) return {};
+
+        const user = this.findUser(item.author);
+        if (!user) return { [this.field]: '' };
+
+        return {
+            [this.field]: this.strategy === 'stories'
+                ? createStoryLinkPlaceholder(getAuthorStoryKey(user.id))
+                : slugify(user.name, { lower: true }),
+        };
+    }
+
+    mapDatasources() {
+        if (this.strategy !== 'datasource' || this.users.length === 0) return [];
+
+        const names = new Set(this.users.map(user => user.name));
+
+        return [{
+            name: 'Authors',
+            slug: this.datasource,
+            datasource_entries: Array.from(names).map(name => ({
+                name,
+                value: slugify(name, { lower: true }),
+            })),
+        }];
+    }
+
+    /**
+     * Author stories, in the default language (WordPress users aren't translated)
+     */
+    mapAuthorStories({ rootFolders = {} }) {
+        if (this.strategy !== 'stories') return [];
+
+        return this.users.map(user => {
+            const avatarUrl = getAvatarUrl(user);
+            const socialUrls = getSocialUrls(user);
+
+            return {
+                name: user.name,
+                slug: user.slug,
+                content: {
+                    component: this.component,
+                    name: user.name,
+                    bio: user.description || '',
+                    avatar: avatarUrl
+                        ? { filename: avatarUrl, alt: user.name, title: user.name }
+                        : null,
+                    website: { url: user.url || '', linktype: 'url' },
+                    social_links: socialUrls.map(url => ({
+                        _uid: randomUUID(),
+                        component: `${this.component}_social_link`,
+                        network: getNetworkName(url),
+                        url: { url, linktype: 'url' },
+                    })),
+                },
+                wp_user_id: user.id,
+                lang: this.defaultLanguage,
+                path_segments: applyLanguageRootFolder(
+                    [...this.folder.split('/').filter(Boolean), user.slug],
+                    this.defaultLanguage,
+                    rootFolders[this.defaultLanguage]
+                ),
+            };
+        });
+    }
+
+    /**
+     * Avatars of the author stories, keyed by their Gravatar URL and uploaded from
+     * the copy the exporter downloaded (`avatar_local_path`, relative to `inputDir`)
+     */
+    mapAvatarAssets({ inputDir }) {
+        if (this.strategy !== 'stories') return [];
+
+        return this.users
+            .map(user => ({ user, avatarUrl: getAvatarUrl(user) }))
+            .filter(({ avatarUrl }) => avatarUrl)
+            .map(({ user, avatarUrl }) => ({
+                wp_id: null,
+                filename: avatarUrl,
+                alt: user.name,
+                title: user.name,
+                local_path: user.avatar_local_path ? path.resolve(inputDir, user.avatar_local_path) : null,
+            }));
+    }
+
+    /**
+     * Author content type and its social link blok, for the `stories` strategy
+     */
+    getComponents() {
+        if (this.strategy !== 'stories') return [];
+
+        const socialLinkComponent = `${this.component}_social_link`;
+
+        return [
+            {
+                name: this.component,
+                display_name: 'Author',
+                schema: {
+                    name: { type: 'text', required: true },
+                    bio: { type: 'textarea' },
+                    avatar: { type: 'asset', filetypes: ['images'] },
+                    website: { type: 'multilink' },
+                    social_links: {
+                        type: 'bloks',
+                        restrict_components: true,
+                        component_whitelist: [socialLinkComponent],
+                    },
+                },
+                is_root: true,
+                is_nestable: false,
+            },
+            {
+                name: socialLinkComponent,
+                display_name: 'Social link',
+                schema: {
+                    network: { type: 'text' },
+                    url: { type: 'multilink' },
+                },
+                is_root: false,
+                is_nestable: true,
+            },
+        ];
+    }
+
+    /**
+     * Author field of the content type components listed in `contentTypes`
+     */
+    getFieldDefinitions(typeConfig) {
+        if (!this.strategy || !this.components.has(typeConfig.component)) return {};
+
+        return {
+            [this.field]: this.strategy === 'stories'
+                ? { type: 'option', source: 'internal_stories', filter_content_type: [this.component] }
+                : { type: 'option', source: 'internal_datasource', datasource_slug: this.datasource },
+        };
+    }
+}
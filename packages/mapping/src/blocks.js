@@ -0,0 +1,188 @@
+import { randomUUID } from 'crypto';
+import * as cheerio from 'cheerio';
+import { getEmbedProvider } from '@migration/shared';
+
+/**
+ * Rebuilds the HTML of a block, including its inner blocks.
+ * Gutenberg stores inner blocks as `null` placeholders inside `innerContent`.
+ */
+export function serializeBlockHtml(block) {
+    if (!block.innerContent?.length) {
+        return block.innerHTML || '';
+    }
+
+    let innerIndex = 0;
+    return block.innerContent.map(part => {
+        if (part !== null) return part;
+        const innerBlock = block.innerBlocks?.[innerIndex++];
+        return innerBlock ? serializeBlockHtml(innerBlock) : '';
+    }).join('');
+}
+
+/**
+ * Returns the plain text of the first inner block with the given name
+ */
+function findInnerText(block, blockName) {
+    const found = (block.innerBlocks || []).find(inner => inner.blockName === blockName);
+    return found ? cheerio.load(found.innerHTML || '').text().trim() : '';
+}
+
+/**
+ * Default transformers for core Gutenberg blocks.
+ *
+ * A transformer receives `(block, helpers)` and returns a blok, an array of bloks,
+ * or `null` to drop the block. Blocks without a transformer fall back to richtext.
+ */
+export const defaultBlockTransformers = {
+    'core/cover': (block, { transformChildren }) => {
+        const $ = cheerio.load(block.innerHTML || '');
+        return {
+            component: 'hero',
+            title: findInnerText(block, 'core/heading'),
+            image: block.attributes.url ? {
+                filename: block.attributes.url,
+                alt: block.attributes.alt || $('img').attr('alt') || '',
+            } : null,
+            body: transformChildren(
+                (block.innerBlocks || []).filter(inner => inner.blockName !== 'core/heading')
+            ),
+        };
+    },
+
+    'core/group': (block, { transformChildren }) => ({
+        component: 'section',
+        body: transformChildren(block.innerBlocks),
+    }),
+
+    'core/columns': (block, { transformChildren }) => ({
+        component: 'grid',
+        columns: transformChildren(block.innerBlocks),
+    }),
+
+    'core/column': (block, { transformChildren }) => ({
+        component: 'column',
+        body: transformChildren(block.innerBlocks),
+    }),
+
+    'core/image': (block) => {
+        const $ = cheerio.load(block.innerHTML || '');
+        const src = block.attributes.url || $('img').attr('src');
+        if (!src) return null;
+
+        return {
+            component: 'image',
+            image: {
+                filename: src,
+                alt: block.attributes.alt || $('img').attr('alt') || '',
+            },
+            caption: $('figcaption').text().trim(),
+        };
+    },
+
+    'core/buttons': (block, { transformChildren }) => transformChildren(block.innerBlocks),
+
+    'core/button': (block) => {
+        const $ = cheerio.load(block.innerHTML || '');
+        const $link = $('a');
+        return {
+            component: 'button',
+            label: $link.text().trim() || $.text().trim(),
+            link: {
+                url: block.attributes.url || $link.attr('href') || '',
+                linktype: 'url',
+            },
+        };
+    },
+
+    // YouTube, Vimeo and Twitter embeds; others go through richtext, which reports them
+    'core/embed': (block, { richtext }) => {
+        const url = block.attributes.url || '';
+        const provider = getEmbedProvider(url);
+
+        if (!provider) {
+            return { component: 'richtext', content: richtext(serializeBlockHtml(block)) };
+        }
+
+        return {
+            component: 'embed',
+            url,
+            provider,
+            caption: cheerio.load(block.innerHTML || '')('figcaption').text().trim(),
+        };
+    },
+
+    'core/spacer': () => null,
+    'core/separator': () => null,
+};
+
+/**
+ * Registry of block transformers that turns an exported Gutenberg block tree
+ * into nested Storyblok bloks
+ */
+export class BlockTransformerRegistry {
+    constructor(transformers = {}, options = {}) {
+        this.transformers = new Map(Object.entries({ ...defaultBlockTransformers, ...transformers }));
+        this.richtextComponent = options.richtextComponent || 'richtext';
+        this.convertHtml = options.convertHtml;
+    }
+
+    register(blockName, transformer) {
+        this.transformers.set(blockName, transformer);
+        return this;
+    }
+
+    has(blockName) {
+        return this.transformers.has(blockName);
+    }
+
+    /**
+     * Transforms a list of blocks. Consecutive blocks without a transformer are
+     * merged into a single richtext blok, so plain content stays together.
+     */
+    transformBlocks(blocks = [], context = {}) {
+        const bloks = [];
+        let pendingHtml = [];
+
+        const flushRichtext = () => {
+            const html = pendingHtml.join('').trim();
+            pendingHtml = [];
+            if (!html) return;
+
+            bloks.push(this.createBlok({
+                component: this.richtextComponent,
+                content: this.convertHtml(html),
+            }));
+        };
+
+        for (const block of blocks || []) {
+            const transformer = block.blockName && this.transformers.get(block.blockName);
+
+            if (!transformer) {
+                pendingHtml.push(serializeBlockHtml(block));
+                continue;
+            }
+
+            flushRichtext();
+
+            const helpers = {
+                context,
+                registry: this,
+                transformChildren: (innerBlocks) => this.transformBlocks(innerBlocks, context),
+                richtext: (html) => this.convertHtml(html || ''),
+            };
+
+            const result = transformer({ ...block, attributes: block.attributes || {} }, helpers);
+            for (const blok of [].concat(result ?? [])) {
+                bloks.push(blok._uid ? blok : this.createBlok(blok));
+            }
+        }
+
+        flushRichtext();
+
+        return bloks;
+    }
+
+    createBlok(blok) {
+        return { _uid: randomUUID(), ...blok };
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Components every migration needs: the content types produced by the default
+ * mapping config, and the nestable bloks produced by the core block transformers.
+ * Written to `components.json` together with the ones generated from block schemas.
+ */
+export const defaultComponents = [
+    {
+        name: 'article',
+        display_name: 'Article',
+        schema: {
+            title: {
+                type: 'text',
+                required: true,
+            },
+            content: {
+                type: 'richtext',
+            },
+            excerpt: {
+                type: 'richtext',
+            },
+            featured_image: {
+                type: 'asset',
+                filetypes: ['images'],
+            },
+            published_date: {
+                type: 'datetime',
+            },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    {
+        name: 'page',
+        display_name: 'Page',
+        schema: {
+            title: {
+                type: 'text',
+                required: true,
+            },
+            body: {
+                type: 'bloks',
+            },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    // Nestable bloks produced by the mapper's Gutenberg block transformers
+    {
+        name: 'hero',
+        display_name: 'Hero',
+        schema: {
+            title: { type: 'text' },
+            image: { type: 'asset', filetypes: ['images'] },
+            body: { type: 'bloks' },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    {
+        name: 'section',
+        display_name: 'Section',
+        schema: {
+            body: { type: 'bloks' },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    {
+        name: 'grid',
+        display_name: 'Grid',
+        schema: {
+            columns: { type: 'bloks', restrict_components: true, component_whitelist: ['column'] },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    {
+        name: 'column',
+        display_name: 'Column',
+        schema: {
+            body: { type: 'bloks' },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    {
+        name: 'image',
+        display_name: 'Image',
+        schema: {
+            image: { type: 'asset', filetypes: ['images'] },
+            caption: { type: 'text' },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    {
+        name: 'button',
+        display_name: 'Button',
+        schema: {
+            label: { type: 'text' },
+            link: { type: 'multilink' },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    // Also nested in richtext as `blok` nodes
+    {
+        name: 'embed',
+        display_name: 'Embed',
+        schema: {
+            url: { type: 'text', required: true },
+            provider: {
+                type: 'option',
+                options: [
+                    { name: 'YouTube', value: 'youtube' },
+                    { name: 'Vimeo', value: 'vimeo' },
+                    { name: 'Twitter', value: 'twitter' },
+                ],
+            },
+            caption: { type: 'text' },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    // `[gallery]` shortcodes, nested in richtext
+    {
+        name: 'gallery',
+        display_name: 'Gallery',
+        schema: {
+            images: { type: 'multiasset', filetypes: ['images'] },
+            columns: { type: 'number', default_value: 3 },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+    {
+        name: 'richtext',
+        display_name: 'Richtext',
+        schema: {
+            content: { type: 'richtext' },
+        },
+        is_root: false,
+        is_nestable: true,
+    },
+];
@@ -0,0 +1,283 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { findWorkspaceRoot } from '@migration/shared';
+import { builtInTransforms } from './transforms.js';
+import { TAXONOMY_STRATEGIES } from './taxonomies.js';
+import { AUTHOR_STRATEGIES } from './authors.js';
+
+/**
+ * Default mapping configuration: posts map to `article` stories and pages
+ * to `page` stories, with the page block tree mapped into nested `body` bloks.
+ *
+ * Each key of `contentTypes` is the exported WordPress collection (`posts`, `pages`, ...).
+ * Field specs can be:
+ * - a string: dot path into the WordPress item (e.g. `title.rendered`)
+ * - a function: `(item, context) => value`
+ * - an object: `{ source, transform, default, value }`
+ * Fields whose last transform is `markdown` (HTML or a block tree → Markdown)
+ * get a `markdown` field in their component instead of `richtext`.
+ *
+ * `acf` selects the ACF field groups mapped into a content type: by default the
+ * groups targeting its post type, `false` for none, or a list of group keys/titles.
+ * Their values fill the fields `fields` doesn't map.
+ *
+ * `taxonomies` sets how each WordPress taxonomy (by key: `category`, `post_tag`,
+ * custom ones) is migrated: `{ strategy, field, datasource, component, folder }`.
+ * `strategy` is `tags` (story `tag_list`), `datasource` (entries referenced from
+ * the `field` options, translated names as dimensions), `stories` (a `component`
+ * story per term in `folder`, referenced from the `field` options), or `false` to skip it.
+ * `field`, `datasource` and `folder` default to the taxonomy's REST base.
+ *
+ * `authors` sets how post authors are migrated: `{ strategy, field, contentTypes,
+ * datasource, component, folder }`. `strategy` is `datasource` (an `authors`
+ * datasource of names) or `stories` (an `author` story per user with bio, avatar
+ * and links, in `folder`), referenced from the `field` (default `author`) of the
+ * `contentTypes` collections (default `['posts']`), or `false` to skip them.
+ *
+ * `seo` maps Yoast SEO / Rank Math metadata: `{ field, canonicalField, robotsField,
+ * contentTypes }`. `field` (default `seo`) gets the SEO app value (`seo_metatags`:
+ * title, description, Open Graph and Twitter), with the item's title, excerpt and
+ * featured image as fallbacks; `canonicalField` (`canonical`) and `robotsField`
+ * (`robots`) get the canonical URL and robots directives, unless set to `false`.
+ * `contentTypes` lists the collections with SEO fields (default all), and `false`
+ * skips SEO metadata.
+ *
+ * `blocks` registers extra (or overriding) Gutenberg block transformers, and
+ * `shortcodes` extra (or overriding) shortcode transformers `(shortcode, helpers)`
+ * returning a blok, a richtext node, HTML, `helpers.manualReview(reason)` or `null`.
+ * `schemas` holds the rules to generate components from `block_schemas.json`
+ * (`whitelist`, `rename`, `fields`, `excludeAttributes`), and `components`
+ * adds or replaces component definitions written to `components.json` (replaced
+ * content types still get their author, SEO and taxonomy fields).
+ * `i18n.mode` is `folder` (one story per language) or `field` (one story with
+ * `__i18n__<lang>` translated fields); fields with `translatable: false` are left out.
+ * Languages are discovered from the export; `i18n.languages` restricts them,
+ * `i18n.defaultLanguage` overrides the exported default, and `i18n.rootFolders`
+ * sets the folder of each language's stories (e.g. `{ en: '', fr: 'fr' }`).
+ */
+export const defaultMappingConfig = {
+    contentTypes: {
+        posts: {
+            component: 'article',
+            name: 'title.rendered',
+            slug: 'slug',
+            fields: {
+                title: 'title.rendered',
+                content: { source: 'content.rendered', transform: 'richtext' },
+                excerpt: { source: 'excerpt.rendered', transform: 'richtext' },
+                featured_image: { source: 'featured_media', transform: 'featuredImage', default: null },
+                published_date: 'date',
+            },
+        },
+        pages: {
+            component: 'page',
+            name: 'title.rendered',
+            slug: 'slug',
+            fields: {
+                title: 'title.rendered',
+                // Items exported without block data fall back to their rendered HTML
+                body: { source: 'blocks', transform: 'blocks', default: [] },
+            },
+        },
+    },
+    taxonomies: {
+        category: { strategy: 'datasource', field: 'categories' },
+        post_tag: { strategy: 'tags' },
+    },
+    authors: { strategy: 'datasource' },
+    seo: { field: 'seo' },
+    transforms: {},
+    blocks: {},
+    shortcodes: {},
+    schemas: {},
+    components: [],
+    i18n: {
+        mode: 'folder',
+        defaultLanguage: null,
+        languages: null,
+        rootFolders: {},
+    },
+};
+
+/**
+ * Loads a mapping configuration file (`.js`, `.mjs` or `.json`). Relative paths are
+ * resolved against the directory the command was run from (`INIT_CWD`, set by pnpm,
+ * which runs the script from the package directory), or the workspace root
+ */
+export async function loadMappingConfig(configPath) {
+    if (!configPath) {
+        return defaultMappingConfig;
+    }
+
+    const absolutePath = path.resolve(process.env.INIT_CWD ?? findWorkspaceRoot(), configPath);
+
+    if (!(await fs.pathExists(absolutePath))) {
+        throw new Error(`Mapping config not found: ${absolutePath}`);
+    }
+
+    let config;
+    if (path.extname(absolutePath) === '.json') {
+        config = await fs.readJson(absolutePath);
+    } else {
+        const module = await import(pathToFileURL(absolutePath).href);
+        config = module.default ?? module;
+    }
+
+    validateMappingConfig(config, absolutePath);
+
+    return {
+        ...config,
+        transforms: config.transforms || {},
+        blocks: config.blocks || {},
+        shortcodes: config.shortcodes || {},
+        schemas: config.schemas || {},
+        components: config.components || [],
+        taxonomies: { ...defaultMappingConfig.taxonomies, ...config.taxonomies },
+        authors: config.authors === undefined ? defaultMappingConfig.authors : config.authors,
+        seo: config.seo === undefined ? defaultMappingConfig.seo : config.seo,
+        i18n: { ...defaultMappingConfig.i18n, ...config.i18n },
+    };
+}
+
+/**
+ * Checks the config shape, so errors surface before any file is written
+ */
+export function validateMappingConfig(config, source = 'mapping config') {
+    if (!config || typeof config.contentTypes !== 'object') {
+        throw new Error(`Invalid ${source}: missing "contentTypes" object`);
+    }
+
+    if (config.i18n?.mode && !['folder', 'field'].includes(config.i18n.mode)) {
+        throw new Error(`Invalid ${source}: i18n.mode must be "folder" or "field"`);
+    }
+
+    if (config.i18n?.languages && !Array.isArray(config.i18n.languages)) {
+        throw new Error(`Invalid ${source}: i18n.languages must be an array of language codes`);
+    }
+
+    for (const [lang, folder] of Object.entries(config.i18n?.rootFolders || {})) {
+        if (typeof folder !== 'string') {
+            throw new Error(`Invalid ${source}: i18n.rootFolders.${lang} must be a folder path string`);
+        }
+    }
+
+    for (const [taxonomy, taxonomyConfig] of Object.entries(config.taxonomies || {})) {
+        if (taxonomyConfig === false || taxonomyConfig?.strategy === false) continue;
+        if (!TAXONOMY_STRATEGIES.includes(taxonomyConfig?.strategy)) {
+            throw new Error(`Invalid ${source}: taxonomies.${taxonomy}.strategy must be one of ${TAXONOMY_STRATEGIES.join(', ')}`);
+        }
+    }
+
+    if (config.authors !== undefined && config.authors !== false && !AUTHOR_STRATEGIES.includes(config.authors?.strategy)) {
+        throw new Error(`Invalid ${source}: authors.strategy must be one of ${AUTHOR_STRATEGIES.join(', ')}`);
+    }
+
+    if (config.seo !== undefined && config.seo !== false && (typeof config.seo !== 'object' || config.seo === null)) {
+        throw new Error(`Invalid ${source}: seo must be an object or false`);
+    }
+
+    const transformNames = new Set([
+        ...Object.keys(builtInTransforms),
+        ...Object.keys(config.transforms || {}),
+    ]);
+
+    for (const [blockName, transformer] of Object.entries(config.blocks || {})) {
+        if (typeof transformer !== 'function') {
+            throw new Error(`Invalid ${source}: block transformer for "${blockName}" must be a function`);
+        }
+    }
+
+    for (const [name, transformer] of Object.entries(config.shortcodes || {})) {
+        if (typeof transformer !== 'function') {
+            throw new Error(`Invalid ${source}: shortcode transformer for "${name}" must be a function`);
+        }
+    }
+
+    for (const [type, typeConfig] of Object.entries(config.contentTypes)) {
+        if (!typeConfig?.component) {
+            throw new Error(`Invalid ${source}: content type "${type}" has no "component"`);
+        }
+        if (typeof typeConfig.fields !== 'object') {
+            throw new Error(`Invalid ${source}: content type "${type}" has no "fields" object`);
+        }
+        if (typeConfig.acf !== undefined && typeof typeConfig.acf !== 'boolean' && !Array.isArray(typeConfig.acf)) {
+            throw new Error(`Invalid ${source}: ${type}.acf must be a boolean or a list of ACF field group keys/titles`);
+        }
+
+        // `name`, `slug` and `tagList` are resolved like fields
+        const specs = [
+            ...Object.entries(typeConfig.fields).map(([field, spec]) => [`${type}.${field}`, spec]),
+            ...['name', 'slug', 'tagList'].map(key => [`${type}.${key}`, typeConfig[key]]),
+        ];
+
+        for (const [specPath, spec] of specs) {
+            const transforms = [].concat(spec?.transform || []);
+            for (const transform of transforms) {
+                if (typeof transform === 'string' && !transformNames.has(transform)) {
+                    throw new Error(`Invalid ${source}: unknown transform "${transform}" in ${specPath}`);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Reads a dot path (e.g. `title.rendered`) from an object
+ */
+export function getValueByPath(object, sourcePath) {
+    if (!sourcePath) return object;
+
+    return sourcePath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Resolves a single field spec against a WordPress item
+ */
+export function resolveField(spec, item, context) {
+    if (typeof spec === 'function') {
+        return spec(item, context);
+    }
+
+    if (typeof spec === 'string') {
+        return getValueByPath(item, spec);
+    }
+
+    if (!spec || typeof spec !== 'object') {
+        return spec;
+    }
+
+    let value = 'value' in spec ? spec.value : getValueByPath(item, spec.source);
+
+    for (const transform of [].concat(spec.transform || [])) {
+        const fn = typeof transform === 'function'
+            ? transform
+            : context.transforms[transform];
+        if (typeof fn !== 'function') {
+            throw new Error(`unknown transform "${transform}"`);
+        }
+        value = fn(value, context);
+    }
+
+    if (value === undefined || value === null || value === '') {
+        return spec.default !== undefined ? spec.default : value;
+    }
+
+    return value;
+}
+
+/**
+ * `markdown` field definitions of the content type fields whose last transform is
+ * `markdown`, overriding the type of the component's existing definitions
+ */
+export function getMarkdownFieldDefinitions(typeConfig, component) {
+    const definitions = {};
+
+    for (const [field, spec] of Object.entries(typeConfig.fields || {})) {
+        if (!spec || typeof spec !== 'object' || [].concat(spec.transform || []).at(-1) !== 'markdown') continue;
+
+        definitions[field] = { ...component?.schema?.[field], type: 'markdown' };
+    }
+
+    return definitions;
+}
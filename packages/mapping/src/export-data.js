@@ -0,0 +1,92 @@
+import fs from 'fs-extra';
+import path from 'path';
+import {
+    EXPORT_MANIFEST_FILENAME,
+    findManifestFile,
+    validateExportManifest,
+} from '@migration/shared';
+
+/**
+ * Reads an export strictly through its `manifest.json`: every file the mapper
+ * needs must be listed there, exist, and hold the listed number of items.
+ * Any mismatch throws, rather than mapping silently empty data.
+ */
+export class ExportData {
+    constructor(inputDir, manifest) {
+        this.inputDir = inputDir;
+        this.manifest = manifest;
+    }
+
+    static async load(inputDir) {
+        const manifestPath = path.join(inputDir, EXPORT_MANIFEST_FILENAME);
+
+        if (!(await fs.pathExists(manifestPath))) {
+            throw new Error(`Export contract mismatch: ${manifestPath} not found, re-run the export with the current exporter`);
+        }
+
+        const manifest = validateExportManifest(await fs.readJson(manifestPath), manifestPath);
+
+        return new ExportData(inputDir, manifest);
+    }
+
+    has(kind, options = {}) {
+        return Boolean(findManifestFile(this.manifest, kind, options));
+    }
+
+    /**
+     * Reads a listed file; `required` files missing from the manifest throw
+     */
+    async read(kind, { language = null, type = null, required = true } = {}) {
+        const entry = findManifestFile(this.manifest, kind, { language, type });
+
+        if (!entry) {
+            if (!required) return null;
+
+            const scope = [type && `"${type}"`, language && `language "${language}"`].filter(Boolean).join(' for ');
+            throw new Error(`Export contract mismatch: ${EXPORT_MANIFEST_FILENAME} lists no ${kind} file${scope ? ` (${scope})` : ''}`);
+        }
+
+        const data = await this.readEntry(entry);
+        const count = Array.isArray(data) ? data.length : null;
+
+        if (count !== null && entry.count !== null && entry.count !== undefined && count !== entry.count) {
+            throw new Error(`Export contract mismatch: ${entry.path} has ${count} items, ${EXPORT_MANIFEST_FILENAME} lists ${entry.count}`);
+        }
+
+        return data;
+    }
+
+    async readEntry(entry) {
+        const filePath = path.join(this.inputDir, entry.path);
+
+        if (!(await fs.pathExists(filePath))) {
+            throw new Error(`Export contract mismatch: ${entry.path} is listed in ${EXPORT_MANIFEST_FILENAME} but missing`);
+        }
+
+        if (entry.format !== 'directory') {
+            return fs.readJson(filePath);
+        }
+
+        // Multiple files export: one JSON file per item
+        const files = (await fs.readdir(filePath)).filter(file => file.endsWith('.json')).sort();
+        return Promise.all(files.map(file => fs.readJson(path.join(filePath, file))));
+    }
+}
+
+/**
+ * Terms of a taxonomy from an exported `taxonomies.json` (`category`, `post_tag`...)
+ */
+export function getTaxonomyTerms(taxonomiesData, taxonomy) {
+    return taxonomiesData?.taxonomies?.[taxonomy]?.terms || [];
+}
+
+/**
+ * Whether an exported item was modified after a date; `modified_gmt` is
+ * `Y-m-d H:i:s` from the block exporter endpoint and ISO 8601 without zone from the REST API
+ */
+export function isModifiedAfter(item, date) {
+    if (!item?.modified_gmt) return true;
+
+    const modified = Date.parse(`${item.modified_gmt.replace(' ', 'T')}Z`);
+    return Number.isNaN(modified) || modified > Date.parse(date);
+}
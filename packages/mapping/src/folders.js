@@ -0,0 +1,96 @@
+/**
+ * URL path segments of a WordPress item: from its permalink, or from the
+ * chain of parent pages when the export has no `link`
+ */
+export function getItemPathSegments(item, items = []) {
+    if (item.link) {
+        try {
+            return new URL(item.link).pathname.split('/').filter(Boolean);
+        } catch {
+            // Not an absolute URL, fall back to parent relations
+        }
+    }
+
+    const segments = [item.slug];
+    const seen = new Set([item.id]);
+    let parentId = item.parent;
+
+    while (parentId && !seen.has(parentId)) {
+        const parent = items.find(candidate => candidate.id === parentId);
+        if (!parent) break;
+
+        segments.unshift(parent.slug);
+        seen.add(parent.id);
+        parentId = parent.parent;
+    }
+
+    return segments;
+}
+
+/**
+ * Moves a story path into its language root folder: the language prefix of the
+ * URL (`/fr/...`), if any, is replaced by `rootFolder` (`''` for the space root).
+ * Without a configured root folder the URL path is kept as is.
+ */
+export function applyLanguageRootFolder(segments, lang, rootFolder) {
+    if (rootFolder === undefined || rootFolder === null) {
+        return segments;
+    }
+
+    const pathSegments = segments[0] === lang ? segments.slice(1) : segments;
+
+    return [...rootFolder.split('/').filter(Boolean), ...pathSegments];
+}
+
+function humanize(segment) {
+    return segment.replace(/[-_]+/g, ' ').replace(/^\w/, c => c.toUpperCase());
+}
+
+/**
+ * Places stories in folders matching their WordPress URL, and returns the folders
+ * to create, parents first. A story whose path is also a folder (a page with
+ * child pages, or `/blog` with posts under `/blog/...`) becomes its start page.
+ */
+export function assignFolders(stories) {
+    const folderPaths = new Set();
+
+    for (const story of stories) {
+        const segments = story.path_segments;
+        for (let depth = 1; depth < segments.length; depth++) {
+            folderPaths.add(segments.slice(0, depth).join('/'));
+        }
+    }
+
+    const startPages = new Map();
+
+    for (const story of stories) {
+        const storyPath = story.path_segments.join('/');
+
+        if (folderPaths.has(storyPath)) {
+            story.folder_path = storyPath;
+            story.is_startpage = true;
+            story.full_slug = `${storyPath}/`;
+            startPages.set(storyPath, story);
+        } else {
+            story.folder_path = story.path_segments.slice(0, -1).join('/');
+            story.full_slug = [story.folder_path, story.slug].filter(Boolean).join('/');
+        }
+
+        delete story.path_segments;
+    }
+
+    return Array.from(folderPaths)
+        .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+        .map(folderPath => {
+            const segments = folderPath.split('/');
+            const startPage = startPages.get(folderPath);
+
+            return {
+                name: startPage?.name || humanize(segments[segments.length - 1]),
+                slug: segments[segments.length - 1],
+                full_slug: folderPath,
+                parent_path: segments.slice(0, -1).join('/'),
+                lang: startPage?.lang,
+            };
+        });
+}
@@ -0,0 +1,140 @@
+import { createHash } from 'crypto';
+
+/**
+ * Field-level translation helpers: a translated value is stored next to the
+ * default one, in a `<field>__i18n__<lang>` field of the same story or blok.
+ */
+export function getTranslatedFieldName(field, lang) {
+    return `${field}__i18n__${lang}`;
+}
+
+function isBlokList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => item?.component);
+}
+
+/**
+ * Zips translated bloks into the default ones. Only possible when both lists have
+ * the same components in the same order; returns false otherwise.
+ */
+function mergeTranslatedBloks(bloks, translatedBloks, lang) {
+    if (!Array.isArray(translatedBloks) ||
+        bloks.length !== translatedBloks.length ||
+        bloks.some((blok, index) => blok.component !== translatedBloks[index]?.component)) {
+        return false;
+    }
+
+    return bloks.every((blok, index) => addFieldTranslations(blok, translatedBloks[index], lang));
+}
+
+/**
+ * Adds the translated values of `translatedContent` into `content` (mutating it).
+ * Blok lists are not translatable fields themselves, so their bloks are merged instead.
+ * Returns false when some nested bloks could not be merged.
+ */
+export function addFieldTranslations(content, translatedContent, lang, excludedFields = []) {
+    let complete = true;
+
+    for (const [field, value] of Object.entries(content)) {
+        if (field === 'component' || field === '_uid' || field.includes('__i18n__') || excludedFields.includes(field)) {
+            continue;
+        }
+
+        const translatedValue = translatedContent?.[field];
+
+        if (isBlokList(value)) {
+            complete = mergeTranslatedBloks(value, translatedValue, lang) && complete;
+            continue;
+        }
+
+        if (translatedValue !== undefined && translatedValue !== null) {
+            content[getTranslatedFieldName(field, lang)] = translatedValue;
+        }
+    }
+
+    return complete;
+}
+
+/**
+ * Fields of a content type opted out with `translatable: false`
+ */
+export function getUntranslatableFields(typeConfig) {
+    return Object.entries(typeConfig?.fields || {})
+        .filter(([, spec]) => spec?.translatable === false)
+        .map(([field]) => field);
+}
+
+/**
+ * Marks every non-bloks field of a component as translatable
+ */
+export function markTranslatable(component, excludedFields = []) {
+    const schema = Object.fromEntries(Object.entries(component.schema || {}).map(([field, definition]) => [
+        field,
+        definition.type === 'bloks' || excludedFields.includes(field)
+            ? definition
+            : { ...definition, translatable: true },
+    ]));
+
+    return { ...component, schema };
+}
+
+/**
+ * Indexes the exported translation groups (`translations.json`) by item ID,
+ * so each item finds its translations (language code => item ID)
+ */
+export function createTranslationIndex(translations) {
+    const index = new Map();
+
+    for (const groups of Object.values(translations?.groups || {})) {
+        for (const group of groups) {
+            for (const id of Object.values(group)) {
+                index.set(Number(id), group);
+            }
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Stable UUID for a translation group, so remapping gives the same Storyblok `group_id`
+ */
+export function getTranslationGroupId(group) {
+    const key = Object.entries(group)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([lang, id]) => `${lang}:${id}`)
+        .join(',');
+    const hash = createHash('sha1').update(`wp-translations:${key}`).digest('hex');
+
+    return [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+}
+
+/**
+ * Folder-level translations: stories of the same translation group (their
+ * `translations`, language code => WordPress ID) share a `translation_group_id`,
+ * which becomes the Storyblok alternates group, and list each other in `alternates`
+ */
+export function linkTranslations(stories) {
+    const storiesByWpId = new Map(stories.filter(story => story.wp_id).map(story => [story.wp_id, story]));
+    let linked = 0;
+
+    for (const story of stories) {
+        const translations = story.translations || {};
+        const alternates = Object.entries(translations)
+            .filter(([lang]) => lang !== story.lang)
+            .map(([lang, id]) => ({ lang, alternate: storiesByWpId.get(Number(id)) }))
+            .filter(({ alternate }) => alternate)
+            .map(({ lang, alternate }) => ({ lang, wp_id: alternate.wp_id, slug: alternate.slug }));
+
+        if (alternates.length > 0) {
+            story.translation_group_id = getTranslationGroupId(translations);
+            story.alternates = alternates;
+            linked++;
+        }
+    }
+
+    for (const story of stories) {
+        delete story.translations;
+    }
+
+    return linked;
+}
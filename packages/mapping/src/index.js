@@ -1,10 +1,29 @@
 import fs from 'fs-extra';
 import path from 'path';
 import * as cheerio from 'cheerio';
-import slugify from 'slugify';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { config } from 'dotenv';
-import { convertHtmlToRichText, findWorkspaceRoot } from '@migration/shared';
+import { convertHtmlToMarkdownWithReport, convertHtmlToRichTextWithReport, findWorkspaceRoot, rewriteInternalLinks, ShortcodeRegistry } from '@migration/shared';
+import { defaultMappingConfig, getMarkdownFieldDefinitions, loadMappingConfig, resolveField } from './config.js';
+import { builtInTransforms } from './transforms.js';
+import { BlockTransformerRegistry } from './blocks.js';
+import { defaultComponents } from './components.js';
+import { createSchemaTransformer, generateComponentSchemas } from './schema-generator.js';
+import { InternalLinkIndex } from './links.js';
+import { ExportData, getTaxonomyTerms, isModifiedAfter } from './export-data.js';
+import { generateAcfSchema, getContentTypeFieldGroups, mapAcfValues } from './acf.js';
+import { TaxonomyMapper } from './taxonomies.js';
+import { AuthorMapper } from './authors.js';
+import { SeoMapper } from './seo.js';
+import { applyLanguageRootFolder, assignFolders, getItemPathSegments } from './folders.js';
+import {
+    addFieldTranslations,
+    createTranslationIndex,
+    getUntranslatableFields,
+    linkTranslations,
+    markTranslatable,
+} from './i18n.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,12 +33,39 @@ config();
 const WORKSPACE_ROOT = findWorkspaceRoot();
 const INPUT_DIR = process.env.INPUT_DIR || path.join(WORKSPACE_ROOT, 'exported-data');
 const OUTPUT_DIR = process.env.MAPPING_OUTPUT_DIR || path.join(WORKSPACE_ROOT, 'mapped-data');
+const MAPPING_CONFIG = process.env.MAPPING_CONFIG || null;
+const WORDPRESS_BASE_URL = process.env.WORDPRESS_URL || 'http://localhost:8080';
 
 class WordPressToStoryblokMapper {
-    constructor(inputDir, outputDir) {
+    constructor(inputDir, outputDir, mappingConfig = defaultMappingConfig, options = {}) {
         this.inputDir = inputDir;
         this.outputDir = outputDir;
-        this.wordpressData = { en: {}, es: {} };
+        this.config = mappingConfig;
+        this.linkIndex = new InternalLinkIndex(options.wordpressUrl || WORDPRESS_BASE_URL);
+        this.transforms = { ...builtInTransforms, ...mappingConfig.transforms };
+        this.blockRegistry = new BlockTransformerRegistry(mappingConfig.blocks, {
+            convertHtml: html => this.convertHtmlToRichText(html),
+        });
+        this.shortcodeRegistry = new ShortcodeRegistry(mappingConfig.shortcodes);
+        this.wordpressData = {};
+        this.languages = [];
+        this.defaultLanguage = null;
+        this.blockSchemas = null;
+        this.acfFieldGroups = [];
+        // Component name → ACF fields of its content type
+        this.acfFields = new Map();
+        this.translationIndex = new Map();
+        this.taxonomyMapper = null;
+        this.authorMapper = null;
+        this.seoMapper = null;
+        // Elements dropped by the richtext conversion, and the story they were in
+        this.droppedElements = [];
+        this.currentStory = null;
+        // Delta sync: only write the stories of items changed in the last incremental export
+        this.changedOnly = options.changedOnly || false;
+        this.modifiedAfter = null;
+        this.itemsById = new Map();
+        this.deletions = {};
     }
 
     async mapAll() {
@@ -31,7 +77,11 @@ class WordPressToStoryblokMapper {
         try {
             await this.mapStories();
             await this.mapDatasources();
+            await this.mapTags();
             await this.mapAssets();
+            await this.mapComponents();
+            await this.mapDeletions();
+            await this.saveRichtextReport();
 
             console.log('✅ Mapping completed successfully!');
         } catch (error) {
@@ -43,29 +93,173 @@ class WordPressToStoryblokMapper {
     async loadWordPressData() {
         console.log('📥 Loading WordPress data...');
 
-        const languages = ['en', 'es'];
-        for (const lang of languages) {
-            const langDir = path.join(this.inputDir, lang);
-
-            if (await fs.pathExists(langDir)) {
-                this.wordpressData[lang] = {
-                    posts: await this.loadJsonFile(path.join(langDir, 'posts.json')),
-                    pages: await this.loadJsonFile(path.join(langDir, 'pages.json')),
-                    categories: await this.loadJsonFile(path.join(langDir, 'categories.json')),
-                    tags: await this.loadJsonFile(path.join(langDir, 'tags.json')),
-                    users: await this.loadJsonFile(path.join(langDir, 'users.json')),
-                    media: await this.loadJsonFile(path.join(langDir, 'media.json')),
-                };
+        // Everything is read through the export manifest, which fails on any contract mismatch
+        const exportData = await ExportData.load(this.inputDir);
+        this.modifiedAfter = exportData.manifest.modified_after || null;
+        this.deletions = (await exportData.read('deletions', { required: false }))?.deletions || {};
+
+        this.blockSchemas = await exportData.read('block_schemas', { required: false });
+        if (this.blockSchemas) {
+            this.registerSchemaTransformers();
+        }
+
+        // Advanced Custom Fields field groups, when ACF is active
+        const acfData = await exportData.read('acf_field_groups', { required: false });
+        this.acfFieldGroups = acfData?.field_groups || [];
+
+        // Polylang translation groups written by the exporter
+        const translations = await exportData.read('translations', { required: false });
+        if (translations) {
+            this.translationIndex = createTranslationIndex(translations);
+        }
+
+        // Custom post types are exported too, but only the configured ones are mapped
+        const unmappedTypes = [...new Set(exportData.manifest.files
+            .filter(file => file.kind === 'content' && !this.config.contentTypes[file.type])
+            .map(file => file.type))];
+        if (unmappedTypes.length > 0) {
+            console.warn(`  ⚠️  Exported content types without mapping config, skipped: ${unmappedTypes.join(', ')}`);
+        }
+
+        const { languages, defaultLanguage } = await this.discoverLanguages(exportData);
+        this.languages = languages;
+        this.defaultLanguage = defaultLanguage;
+        console.log(`  🌐 Languages: ${languages.map(l => l.code).join(', ')} (default: ${defaultLanguage})`);
+
+        // Users and media are exported once for all languages
+        const users = await exportData.read('users');
+        const media = await exportData.read('media');
+
+        for (const { code, exportLanguage } of languages) {
+            const collections = {};
+            for (const type of Object.keys(this.config.contentTypes)) {
+                collections[type] = await exportData.read('content', { language: exportLanguage, type });
             }
+
+            const taxonomies = await exportData.read('taxonomies', { language: exportLanguage });
+
+            this.wordpressData[code] = {
+                ...collections,
+                categories: getTaxonomyTerms(taxonomies, 'category'),
+                tags: getTaxonomyTerms(taxonomies, 'post_tag'),
+                taxonomies: taxonomies?.taxonomies || {},
+                users,
+                media,
+            };
+        }
+
+        // Index every mapped item, so links between them can become story links
+        for (const data of Object.values(this.wordpressData)) {
+            for (const type of Object.keys(this.config.contentTypes)) {
+                for (const item of data[type] || []) {
+                    this.linkIndex.add(item);
+                    this.itemsById.set(item.id, item);
+                }
+            }
+        }
+
+        this.assignAcfFieldGroups();
+
+        this.taxonomyMapper = new TaxonomyMapper(this.config.taxonomies, {
+            wordpressData: this.wordpressData,
+            languages,
+            defaultLanguage,
+        });
+        for (const taxonomy of this.taxonomyMapper.taxonomies) {
+            console.log(`  🏷️  Taxonomy ${taxonomy.key}: ${taxonomy.strategy}`);
         }
+
+        this.authorMapper = new AuthorMapper(this.config.authors, {
+            users,
+            defaultLanguage,
+            contentTypes: this.config.contentTypes,
+        });
+
+        this.seoMapper = new SeoMapper(this.config.seo, { contentTypes: this.config.contentTypes });
     }
 
-    async loadJsonFile(filePath) {
-        try {
-            return await fs.readJson(filePath);
-        } catch (error) {
-            console.warn(`⚠️  Could not load ${filePath}, using empty array`);
-            return [];
+    /**
+     * ACF fields of each content type: the field groups listed in its `acf` option,
+     * by default the ones whose location rules target its post type
+     */
+    assignAcfFieldGroups() {
+        if (this.acfFieldGroups.length === 0) return;
+
+        for (const [type, typeConfig] of Object.entries(this.config.contentTypes)) {
+            // Post type slug (`post`, `event`...) of the collection's items
+            const postType = Object.values(this.wordpressData)
+                .flatMap(data => data[type] || [])
+                .find(item => item.type)?.type;
+            const groups = getContentTypeFieldGroups(this.acfFieldGroups, postType, typeConfig.acf ?? true);
+
+            if (groups.length === 0) continue;
+
+            this.acfFields.set(typeConfig.component, groups.flatMap(group => group.fields || []));
+            console.log(`  🗂️  ACF field groups for ${type}: ${groups.map(group => group.title).join(', ')}`);
+        }
+    }
+
+    /**
+     * Languages of the export, from its manifest. An export without language
+     * filtering is mapped as a single language. `i18n.languages` /
+     * `i18n.defaultLanguage` in the mapping config override them.
+     */
+    async discoverLanguages(exportData) {
+        const { languages: configLanguages, defaultLanguage: configDefault } = this.config.i18n;
+        const { manifest } = exportData;
+        const languageNames = new Map(
+            ((await exportData.read('languages', { required: false }))?.languages || [])
+                .map(language => [language.code, language.name])
+        );
+
+        let languages = manifest.languages.map(code => ({
+            code,
+            name: languageNames.get(code) || code.toUpperCase(),
+            exportLanguage: code,
+        }));
+
+        if (configLanguages) {
+            for (const code of configLanguages) {
+                if (!manifest.languages.includes(code) && manifest.languages.length > 0) {
+                    throw new Error(`Export contract mismatch: language "${code}" is not in the export (${manifest.languages.join(', ')})`);
+                }
+            }
+            languages = languages.filter(language => configLanguages.includes(language.code));
+        }
+
+        const defaultLanguage = configDefault || manifest.default_language || languages[0]?.code || 'en';
+
+        // Content exported without language filtering sits at the root of the export
+        if (languages.length === 0) {
+            languages = [{ code: defaultLanguage, name: defaultLanguage.toUpperCase(), exportLanguage: null }];
+        }
+
+        return { languages, defaultLanguage };
+    }
+
+    // Translations of an item (language code => item ID): the Polylang field of the
+    // item itself, or its group in `translations.json`
+    getItemTranslations(item) {
+        if (item.translations && Object.keys(item.translations).length > 0) {
+            return item.translations;
+        }
+
+        return this.translationIndex.get(Number(item.id)) || {};
+    }
+
+    // Whitelisted blocks are mapped into their generated component, unless the
+    // mapping config provides its own transformer for them
+    registerSchemaTransformers() {
+        const rules = this.config.schemas || {};
+        const blockTypes = this.blockSchemas?.block_types || {};
+
+        for (const blockName of rules.whitelist || []) {
+            if (!blockTypes[blockName] || this.config.blocks?.[blockName]) continue;
+
+            this.blockRegistry.register(
+                blockName,
+                createSchemaTransformer(blockName, blockTypes[blockName], rules)
+            );
         }
     }
 
@@ -73,226 +267,396 @@ class WordPressToStoryblokMapper {
         console.log('📖 Mapping stories...');
 
         const stories = [];
+        const { mode, rootFolders } = this.config.i18n;
+        const defaultLanguage = this.defaultLanguage;
+        // `${lang}-${id}` of items merged into a default language story (field-level mode)
+        const mergedTranslations = new Set();
+        const unpairedTranslations = [];
 
-        // Map posts and pages for both languages
-        for (const [lang, data] of Object.entries(this.wordpressData)) {
-            if (!data.posts && !data.pages) continue;
+        // Default language first, so translations can be merged into its stories
+        const languages = this.languages.map(language => language.code)
+            .sort((a, b) => (b === defaultLanguage) - (a === defaultLanguage));
 
-            // Map posts to article stories
-            for (const post of data.posts || []) {
-                const story = await this.mapPostToStory(post, lang);
-                stories.push(story);
+        // Map every configured WordPress collection for each language
+        for (const lang of languages) {
+            const data = this.wordpressData[lang];
+
+            for (const [type, typeConfig] of Object.entries(this.config.contentTypes)) {
+                for (const item of data[type] || []) {
+                    if (mergedTranslations.has(`${lang}-${item.id}`)) continue;
+
+                    const story = await this.mapItemToStory(item, lang, typeConfig);
+                    story.path_segments = applyLanguageRootFolder(
+                        getItemPathSegments(item, data[type]),
+                        lang,
+                        rootFolders[lang]
+                    );
+                    stories.push(story);
+
+                    if (mode !== 'field') {
+                        story.translations = this.getItemTranslations(item);
+                        continue;
+                    }
+
+                    if (lang === defaultLanguage) {
+                        await this.addStoryTranslations(story, item, type, typeConfig, mergedTranslations);
+                    } else {
+                        unpairedTranslations.push(`${story.slug} (${lang})`);
+                    }
+                }
             }
+        }
 
-            // Map pages to page stories  
-            for (const page of data.pages || []) {
-                const story = await this.mapPageToStory(page, lang);
-                stories.push(story);
-            }
+        if (unpairedTranslations.length > 0) {
+            console.warn(`  ⚠️  No ${defaultLanguage.toUpperCase()} translation found for ${unpairedTranslations.join(', ')}: mapped as separate stories`);
+        }
+
+        // Terms of `stories` taxonomies become stories of their own
+        const termStories = this.taxonomyMapper.mapTermStories({ mode, rootFolders });
+        if (termStories.length > 0) {
+            stories.push(...termStories);
+            console.log(`  ✓ Mapped ${termStories.length} taxonomy term stories`);
+        }
+
+        // So do users, with the `stories` author strategy
+        const authorStories = this.authorMapper.mapAuthorStories({ rootFolders });
+        if (authorStories.length > 0) {
+            stories.push(...authorStories);
+            console.log(`  ✓ Mapped ${authorStories.length} author stories`);
         }
 
-        await this.saveToFile('stories.json', stories);
+        if (mode !== 'field') {
+            const linked = linkTranslations(stories);
+            console.log(`  ✓ Linked ${linked} translated stories`);
+        }
+
+        await this.saveToFile('languages.json', {
+            mode,
+            default_language: defaultLanguage,
+            languages: this.languages.map(({ code, name }) => ({ code, name })),
+        });
+
+        // Folders mirror the WordPress URL structure, so full slugs match the old URLs
+        const folders = assignFolders(stories);
+
+        await this.saveToFile('folders.json', folders);
+        await this.saveToFile('stories.json', this.changedOnly ? this.filterChangedStories(stories) : stories);
+    }
+
+    /**
+     * Delta sync: keeps the stories with an item (or, in field mode, a merged
+     * translation) modified in the last incremental export. Every story is still
+     * mapped first, so folders, start pages and translation links stay complete.
+     * Taxonomy term and author stories have no modification date and are always kept.
+     */
+    filterChangedStories(stories) {
+        if (!this.modifiedAfter) {
+            console.log('  ℹ️  The export is not incremental: keeping every story');
+            return stories;
+        }
+
+        const changed = stories.filter(story => !story.wp_id ||
+            [story.wp_id, ...Object.values(story.translated_wp_ids || {})]
+                .some(id => id && isModifiedAfter(this.itemsById.get(id), this.modifiedAfter))
+        );
+
+        console.log(`  🔁 ${changed.length} of ${stories.length} stories changed since ${this.modifiedAfter}`);
+        return changed;
     }
 
-    async mapPostToStory(post, lang) {
-        const content = this.convertHtmlToRichText(post.content.rendered);
-        const excerpt = this.convertHtmlToRichText(post.excerpt.rendered);
-
-        // Find author
-        const author = this.wordpressData[lang].users?.find(u => u.id === post.author);
-
-        // Find categories and tags
-        const categories = post.categories.map(catId => {
-            const cat = this.wordpressData[lang].categories?.find(c => c.id === catId);
-            return cat?.name || '';
-        }).filter(Boolean);
-
-        // Find featured image
-        let featuredImage = null;
-        if (post.featured_media) {
-            const media = this.wordpressData[lang].media?.find(m => m.id === post.featured_media);
-            if (media) {
-                featuredImage = {
-                    filename: media.source_url,
-                    alt: media.alt_text || media.title.rendered,
-                    title: media.title.rendered,
-                };
+    /**
+     * Field-level translation: merges the translations of an item (linked through
+     * Polylang's `translations`) into its story as `__i18n__<lang>` fields
+     */
+    async addStoryTranslations(story, item, type, typeConfig, mergedTranslations) {
+        const excludedFields = getUntranslatableFields(typeConfig);
+
+        for (const [lang, translationId] of Object.entries(this.getItemTranslations(item))) {
+            if (lang === story.lang) continue;
+
+            const translation = this.wordpressData[lang]?.[type]?.find(t => t.id === Number(translationId));
+            if (!translation) continue;
+
+            const translatedStory = await this.mapItemToStory(translation, lang, typeConfig);
+
+            if (!addFieldTranslations(story.content, translatedStory.content, lang, excludedFields)) {
+                console.warn(`  ⚠️  ${story.slug}: ${lang.toUpperCase()} bloks don't match the ${story.lang.toUpperCase()} structure, they were left untranslated`);
             }
+
+            story.translated_slugs = [
+                ...(story.translated_slugs || []),
+                { lang, name: translatedStory.name, slug: translatedStory.slug },
+            ];
+            // Links to the translation resolve to this story
+            story.translated_wp_ids = { ...story.translated_wp_ids, [lang]: translation.id };
+
+            mergedTranslations.add(`${lang}-${translation.id}`);
         }
+    }
 
-        return {
-            name: post.title.rendered,
-            slug: post.slug,
-            content: {
-                component: 'article',
-                title: post.title.rendered,
-                content: content,
-                excerpt: excerpt,
-                author: author?.name || '',
-                featured_image: featuredImage,
-                categories: categories,
-                published_date: post.date,
-                seo_title: post.title.rendered,
-                seo_description: this.stripHtml(post.excerpt.rendered),
-            },
-            default_root: lang === 'es' ? 'es/' : '',
-            lang: lang,
-            tag_list: categories,
+    async mapItemToStory(item, lang, typeConfig) {
+        this.currentStory = `${lang}/${item.slug}`;
+
+        const context = {
+            item,
+            lang,
+            data: this.wordpressData[lang],
+            mapper: this,
+            transforms: this.transforms,
         };
-    }
 
-    async mapPageToStory(page, lang) {
-        const content = this.convertHtmlToRichText(page.content.rendered);
+        const content = { component: typeConfig.component };
+        for (const [field, spec] of Object.entries(typeConfig.fields)) {
+            content[field] = resolveField(spec, item, context);
+        }
 
-        return {
-            name: page.title.rendered,
-            slug: page.slug,
-            content: {
-                component: 'page',
-                title: page.title.rendered,
-                content: content,
-                seo_title: page.title.rendered,
-            },
-            default_root: lang === 'es' ? 'es/' : '',
+        // The author, taxonomy terms (datasource values, story references), SEO metadata
+        // and ACF values fill the fields the config doesn't map
+        const terms = this.taxonomyMapper.mapItemTerms(item, lang, this.config.i18n.mode);
+        const author = this.authorMapper.mapItemAuthor(item, typeConfig);
+        const seo = this.seoMapper.mapItemSeo(item, typeConfig, context.data);
+        for (const [field, value] of Object.entries({ ...author, ...terms.fields, ...seo })) {
+            if (!(field in content)) content[field] = value;
+        }
+
+        const acfFields = this.acfFields.get(typeConfig.component);
+        if (acfFields && item.acf) {
+            const acfContent = mapAcfValues(acfFields, item.acf, typeConfig.component, context);
+            for (const [field, value] of Object.entries(acfContent)) {
+                if (!(field in content)) content[field] = value;
+            }
+        }
+
+        const story = {
+            name: resolveField(typeConfig.name || 'title.rendered', item, context),
+            slug: resolveField(typeConfig.slug || 'slug', item, context),
+            // Internal links hold a placeholder resolved by the importer once stories exist
+            content: rewriteInternalLinks(content, url => this.linkIndex.resolve(url)),
+            wp_id: item.id,
             lang: lang,
         };
+
+        if (typeConfig.tagList) {
+            story.tag_list = resolveField(typeConfig.tagList, item, context);
+        } else if (terms.tags.length > 0) {
+            story.tag_list = terms.tags;
+        }
+
+        return story;
     }
 
+    /**
+     * Shared HTML → richtext conversion; elements it drops and shortcodes left for
+     * manual review are collected for `richtext-report.json`, with the story being mapped
+     */
     convertHtmlToRichText(html) {
-        if (!html?.trim()) {
-            return { type: 'doc', content: [] };
-        }
-
-        const $ = cheerio.load(html);
-        const content = [];
-
-        // Simple conversion - can be enhanced based on your needs
-        $('body').children().each((_, element) => {
-            const $el = $(element);
-            const tagName = element.tagName?.toLowerCase();
-
-            if (tagName === 'p') {
-                content.push({
-                    type: 'paragraph',
-                    content: [{
-                        type: 'text',
-                        text: $el.text(),
-                    }],
-                });
-            } else if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tagName)) {
-                content.push({
-                    type: 'heading',
-                    attrs: { level: parseInt(tagName[1]) },
-                    content: [{
-                        type: 'text',
-                        text: $el.text(),
-                    }],
-                });
-            } else if (tagName === 'ul') {
-                const listItems = [];
-                $el.find('li').each((_, li) => {
-                    listItems.push({
-                        type: 'list_item',
-                        content: [{
-                            type: 'paragraph',
-                            content: [{
-                                type: 'text',
-                                text: $(li).text(),
-                            }],
-                        }],
-                    });
-                });
-                content.push({
-                    type: 'bullet_list',
-                    content: listItems,
-                });
-            } else if (tagName === 'img') {
-                content.push({
-                    type: 'image',
-                    attrs: {
-                        src: $el.attr('src'),
-                        alt: $el.attr('alt') || '',
-                    },
-                });
-            }
-        });
+        const { doc, dropped } = convertHtmlToRichTextWithReport(html, this.getConversionOptions());
+        this.addDroppedElements(dropped);
 
-        return { type: 'doc', content };
+        return doc;
     }
 
-    async mapDatasources() {
-        console.log('🗂️  Mapping datasources...');
+    /**
+     * Shared HTML → Markdown conversion, for fields with the `markdown` transform
+     */
+    convertHtmlToMarkdown(html) {
+        const { markdown, dropped } = convertHtmlToMarkdownWithReport(html, this.getConversionOptions());
+        this.addDroppedElements(dropped);
 
-        const datasources = [];
+        return markdown;
+    }
 
-        // Create categories datasource
-        const allCategories = new Set();
+    getConversionOptions() {
+        return {
+            shortcodes: this.shortcodeRegistry,
+            // Media shared by all languages, for `[gallery ids]`
+            context: { media: Object.values(this.wordpressData)[0]?.media || [] },
+        };
+    }
 
-        for (const [lang, data] of Object.entries(this.wordpressData)) {
-            if (data.categories) {
-                data.categories.forEach(cat => {
-                    allCategories.add(cat.name);
-                });
-            }
+    addDroppedElements(dropped) {
+        for (const { element, reason } of dropped) {
+            this.droppedElements.push({ story: this.currentStory, element, reason });
         }
+    }
 
-        if (allCategories.size > 0) {
-            datasources.push({
-                name: 'Categories',
-                slug: 'categories',
-                datasource_entries: Array.from(allCategories).map(name => ({
-                    name,
-                    value: slugify(name, { lower: true }),
-                })),
-            });
-        }
+    async mapDatasources() {
+        console.log('🗂️  Mapping datasources...');
 
-        // Create authors datasource
-        const allAuthors = new Set();
+        // Datasources of the taxonomies with the `datasource` strategy
+        const datasources = this.taxonomyMapper.mapDatasources()
+            .filter(datasource => datasource.datasource_entries.length > 0);
 
-        for (const [lang, data] of Object.entries(this.wordpressData)) {
-            if (data.users) {
-                data.users.forEach(user => {
-                    allAuthors.add(user.name);
-                });
-            }
-        }
+        // Authors datasource, with the `datasource` author strategy
+        datasources.push(...this.authorMapper.mapDatasources());
 
-        if (allAuthors.size > 0) {
-            datasources.push({
-                name: 'Authors',
-                slug: 'authors',
-                datasource_entries: Array.from(allAuthors).map(name => ({
-                    name,
-                    value: slugify(name, { lower: true }),
-                })),
-            });
+        await this.saveToFile('datasources.json', datasources);
+    }
+
+    /**
+     * Tags of the taxonomies with the `tags` strategy, created in the space by the importer
+     */
+    async mapTags() {
+        const tags = this.taxonomyMapper.mapTags();
+
+        if (tags.length === 0) {
+            await fs.remove(path.join(this.outputDir, 'tags.json'));
+            return;
         }
 
-        await this.saveToFile('datasources.json', datasources);
+        console.log('🏷️  Mapping tags...');
+        await this.saveToFile('tags.json', tags);
     }
 
     async mapAssets() {
         console.log('🖼️  Mapping assets...');
 
-        const assets = [];
+        const assetsById = new Map();
 
         for (const [lang, data] of Object.entries(this.wordpressData)) {
             if (data.media) {
                 for (const media of data.media) {
-                    assets.push({
+                    if (assetsById.has(media.id)) continue;
+
+                    assetsById.set(media.id, {
+                        wp_id: media.id,
                         filename: media.source_url,
                         alt: media.alt_text || media.title.rendered,
                         title: media.title.rendered,
                         original_filename: media.media_details?.file || '',
                         width: media.media_details?.width,
                         height: media.media_details?.height,
+                        // Resized variants, so references to any size can be rewritten
+                        sizes: Object.values(media.media_details?.sizes || {})
+                            .map(size => size.source_url)
+                            .filter(url => url && url !== media.source_url),
+                        // Downloaded by the exporter; hotlinked media has no local copy
+                        local_path: media.local_path ? path.resolve(this.inputDir, media.local_path) : null,
                     });
                 }
             }
         }
 
-        await this.saveToFile('assets.json', assets);
+        // Author avatars, downloaded by the exporter like media
+        const avatars = this.authorMapper.mapAvatarAssets({ inputDir: this.inputDir });
+
+        await this.saveToFile('assets.json', [...assetsById.values(), ...avatars]);
+    }
+
+    async mapComponents() {
+        console.log('🧩 Mapping components...');
+
+        const generated = generateComponentSchemas(this.blockSchemas, this.config.schemas);
+
+        // Later definitions win: defaults < generated from block schemas < mapping config.
+        // The author, SEO and taxonomy fields below are added to configured components too
+        const componentsByName = new Map();
+        for (const component of [
+            ...defaultComponents,
+            ...generated,
+            ...this.taxonomyMapper.getComponents(),
+            ...this.authorMapper.getComponents(),
+            ...(this.config.components || []),
+        ]) {
+            componentsByName.set(component.name, component);
+        }
+
+        // Author, taxonomy (datasource options, story references) and SEO fields of each
+        // content type, and its fields mapped to Markdown
+        for (const [type, typeConfig] of Object.entries(this.config.contentTypes)) {
+            const items = Object.values(this.wordpressData).flatMap(data => data[type] || []);
+            const definitions = {
+                ...this.authorMapper.getFieldDefinitions(typeConfig),
+                ...this.seoMapper.getFieldDefinitions(typeConfig),
+                ...this.taxonomyMapper.getFieldDefinitions(items),
+                ...getMarkdownFieldDefinitions(typeConfig, componentsByName.get(typeConfig.component)),
+            };
+            if (Object.keys(definitions).length === 0) continue;
+
+            const component = componentsByName.get(typeConfig.component) ||
+                { name: typeConfig.component, display_name: typeConfig.component, schema: {}, is_root: true, is_nestable: false };
+            componentsByName.set(typeConfig.component, { ...component, schema: { ...component.schema, ...definitions } });
+        }
+
+        // ACF field groups extend their content type's component (configured fields win),
+        // and add a nestable component per repeater/group row and flexible content layout
+        for (const [componentName, fields] of this.acfFields) {
+            const { schema, components: nestedComponents, skipped } = generateAcfSchema(fields, componentName);
+            const component = componentsByName.get(componentName) ||
+                { name: componentName, display_name: componentName, schema: {}, is_root: true, is_nestable: false };
+
+            componentsByName.set(componentName, { ...component, schema: { ...schema, ...component.schema } });
+            for (const nestedComponent of nestedComponents) {
+                if (!componentsByName.has(nestedComponent.name)) {
+                    componentsByName.set(nestedComponent.name, nestedComponent);
+                }
+            }
+
+            if (skipped.length > 0) {
+                console.warn(`  ⚠️  ${componentName}: ACF fields without a Storyblok equivalent, skipped: ${skipped.join(', ')}`);
+            }
+        }
+
+        let components = Array.from(componentsByName.values());
+
+        if (this.config.i18n.mode === 'field') {
+            components = components.map(component => {
+                const typeConfig = Object.values(this.config.contentTypes)
+                    .find(contentType => contentType.component === component.name);
+                return markTranslatable(component, getUntranslatableFields(typeConfig));
+            });
+        }
+
+        await this.saveToFile('components.json', components);
+    }
+
+    /**
+     * Items (and terms of `stories` taxonomies) deleted or trashed in WordPress since
+     * the first incremental export, so the importer can unpublish (or delete) their stories
+     */
+    async mapDeletions() {
+        const deletions = [
+            ...Object.keys(this.config.contentTypes).flatMap(type =>
+                (this.deletions[type] || []).map(item => ({
+                    wp_id: item.id,
+                    type,
+                    slug: item.slug,
+                    lang: item.language || this.defaultLanguage,
+                    deleted_at: item.deleted_at,
+                }))
+            ),
+            ...this.taxonomyMapper.mapTermDeletions(this.deletions),
+        ];
+
+        if (deletions.length === 0) {
+            await fs.remove(path.join(this.outputDir, 'deletions.json'));
+            return;
+        }
+
+        console.log('🗑️  Mapping deletions...');
+        await this.saveToFile('deletions.json', deletions);
+    }
+
+    /**
+     * Elements the richtext conversion dropped (embeds of unsupported providers,
+     * forms, videos...), so they can be rebuilt by hand after the import
+     */
+    async saveRichtextReport() {
+        const reportPath = path.join(this.outputDir, 'richtext-report.json');
+
+        if (this.droppedElements.length === 0) {
+            await fs.remove(reportPath);
+            return;
+        }
+
+        const counts = new Map();
+        for (const { element } of this.droppedElements) {
+            counts.set(element, (counts.get(element) || 0) + 1);
+        }
+        const summary = [...counts].map(([element, count]) => `${element} (${count})`).join(', ');
+
+        console.warn(`  ⚠️  Richtext conversion dropped or flagged ${this.droppedElements.length} elements: ${summary}`);
+        await this.saveToFile('richtext-report.json', this.droppedElements);
     }
 
     stripHtml(html) {
@@ -306,11 +670,34 @@ class WordPressToStoryblokMapper {
     }
 }
 
-async function main() {
-    const mapper = new WordPressToStoryblokMapper(INPUT_DIR, OUTPUT_DIR);
+// Export the mapper class and a function for programmatic use
+export { WordPressToStoryblokMapper };
+
+export async function mapWordPressContent(options = {}) {
+    const inputDir = options.inputDir || INPUT_DIR;
+    const outputDir = options.outputDir || OUTPUT_DIR;
+    const mappingConfig = await loadMappingConfig(options.config || MAPPING_CONFIG);
+
+    const mapper = new WordPressToStoryblokMapper(inputDir, outputDir, mappingConfig, {
+        wordpressUrl: options.wordpressUrl,
+        changedOnly: options.changedOnly,
+    });
     await mapper.mapAll();
 }
 
+async function main() {
+    const { values: flags } = parseArgs({
+        options: {
+            'changed-only': { type: 'boolean', default: false },
+        },
+    });
+
+    await mapWordPressContent({ changedOnly: flags['changed-only'] });
+}
+
 if (import.meta.url === `file://${process.argv[1]}`) {
-    main().catch(console.error);
+    main().catch(error => {
+        console.error('❌ Mapping failed:', error.message);
+        process.exit(1);
+    });
 }
@@ -0,0 +1,55 @@
+/**
+ * Index of exported WordPress items by permalink path and id, used to detect
+ * which links in the content point to other migrated posts and pages
+ */
+export class InternalLinkIndex {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.host = new URL(this.baseUrl).host;
+        this.byPath = new Map();
+        this.byId = new Map();
+    }
+
+    add(item) {
+        if (!item?.id || !item.link) return;
+
+        const path = this.normalizePath(new URL(item.link, this.baseUrl).pathname);
+        const entry = { id: item.id, path };
+
+        this.byPath.set(path, entry);
+        this.byId.set(Number(item.id), entry);
+    }
+
+    /**
+     * Returns `{ id, path }` when the URL points to an indexed item
+     * (permalink, `?p=ID` or `?page_id=ID`), or null otherwise
+     */
+    resolve(url) {
+        if (!url || url.startsWith('mailto:') || url.startsWith('tel:')) {
+            return null;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url, this.baseUrl);
+        } catch {
+            return null;
+        }
+
+        if (parsed.host !== this.host || parsed.pathname.includes('/wp-content/')) {
+            return null;
+        }
+
+        const queryId = parsed.searchParams.get('p') || parsed.searchParams.get('page_id');
+        if (queryId) {
+            return this.byId.get(Number(queryId)) || null;
+        }
+
+        return this.byPath.get(this.normalizePath(parsed.pathname)) || null;
+    }
+
+    normalizePath(pathname) {
+        const path = pathname.replace(/\/+$/, '');
+        return path || '/';
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * JSON Schemas of the files in `mapped-data`, i.e. what the importer and the
+ * Storyblok Management API expect. Checked by `pnpm validate` before importing.
+ */
+
+const slug = { type: 'string', minLength: 1, pattern: '^[^/\\s]+$' };
+
+const story = {
+    type: 'object',
+    required: ['name', 'slug', 'content', 'lang'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        slug,
+        lang: { type: 'string', minLength: 1 },
+        wp_id: { type: ['integer', 'null'] },
+        wp_term_id: { type: 'integer' },
+        wp_user_id: { type: 'integer' },
+        content: {
+            type: 'object',
+            required: ['component'],
+            properties: { component: { type: 'string', minLength: 1 } },
+        },
+        full_slug: { type: 'string' },
+        folder_path: { type: 'string' },
+        is_startpage: { type: 'boolean' },
+        tag_list: { type: 'array', items: { type: 'string' } },
+        translation_group_id: { type: 'string', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' },
+        translated_slugs: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['lang', 'slug'],
+                properties: { lang: { type: 'string' }, slug, name: { type: 'string' } },
+            },
+        },
+    },
+};
+
+const folder = {
+    type: 'object',
+    required: ['name', 'slug', 'full_slug', 'parent_path'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        slug,
+        full_slug: { type: 'string', minLength: 1 },
+        parent_path: { type: 'string' },
+    },
+};
+
+const datasource = {
+    type: 'object',
+    required: ['name', 'slug', 'datasource_entries'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        slug,
+        dimensions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'entry_value'],
+                properties: { name: { type: 'string', minLength: 1 }, entry_value: { type: 'string', minLength: 1 } },
+            },
+        },
+        datasource_entries: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'value'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    value: { type: 'string', minLength: 1 },
+                    dimension_values: { type: 'object', additionalProperties: { type: 'string' } },
+                },
+            },
+        },
+    },
+};
+
+const asset = {
+    type: 'object',
+    required: ['filename'],
+    properties: {
+        wp_id: { type: ['integer', 'null'] },
+        filename: { type: 'string', minLength: 1 },
+        alt: { type: ['string', 'null'] },
+        title: { type: ['string', 'null'] },
+        local_path: { type: ['string', 'null'] },
+        sizes: { type: 'array', items: { type: 'string' } },
+    },
+};
+
+const component = {
+    type: 'object',
+    required: ['name', 'schema'],
+    properties: {
+        name: { type: 'string', pattern: '^[a-z0-9_-]+$' },
+        display_name: { type: 'string' },
+        is_root: { type: 'boolean' },
+        is_nestable: { type: 'boolean' },
+        schema: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['type'],
+                properties: { type: { type: 'string' } },
+            },
+        },
+    },
+};
+
+const languages = {
+    type: 'object',
+    required: ['mode', 'default_language', 'languages'],
+    properties: {
+        mode: { enum: ['folder', 'field'] },
+        default_language: { type: 'string', minLength: 1 },
+        languages: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['code'],
+                properties: { code: { type: 'string', minLength: 1 }, name: { type: 'string' } },
+            },
+        },
+    },
+};
+
+// File name → schema; every file listed here must exist in `mapped-data`
+export const mappedDataSchemas = {
+    'stories.json': { type: 'array', items: story },
+    'folders.json': { type: 'array', items: folder },
+    'datasources.json': { type: 'array', items: datasource },
+    'assets.json': { type: 'array', items: asset },
+    'components.json': { type: 'array', items: component },
+    'languages.json': languages,
+};
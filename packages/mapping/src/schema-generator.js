@@ -0,0 +1,185 @@
+import * as cheerio from 'cheerio';
+
+// Presentational attributes that don't belong in a content model
+const DEFAULT_EXCLUDED_ATTRIBUTES = ['className', 'style', 'lock', 'metadata', 'anchor', 'layout', 'align'];
+
+/**
+ * Default component name for a block: `core/quote` → `core_quote`
+ */
+export function blockToComponentName(blockName, rename = {}) {
+    return rename[blockName] || blockName.replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+}
+
+/**
+ * Humanizes a block or attribute name for `display_name`
+ */
+function toDisplayName(name) {
+    return name
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .replace(/^\w/, c => c.toUpperCase());
+}
+
+/**
+ * Converts a single Gutenberg block attribute definition into a Storyblok field
+ */
+export function attributeToField(attributeName, attribute) {
+    if (attribute.enum?.length) {
+        return {
+            type: 'option',
+            options: attribute.enum.map(value => ({ name: String(value), value: String(value) })),
+            default_value: attribute.default !== undefined ? String(attribute.default) : undefined,
+        };
+    }
+
+    if (['html', 'rich-text'].includes(attribute.source)) {
+        return { type: 'richtext' };
+    }
+
+    const type = Array.isArray(attribute.type) ? attribute.type[0] : attribute.type;
+
+    switch (type) {
+        case 'string':
+            if (attribute.source === 'attribute' && attribute.attribute === 'src') {
+                return { type: 'asset', filetypes: ['images', 'videos', 'audios'] };
+            }
+            if (attribute.source === 'attribute' && attribute.attribute === 'href') {
+                return { type: 'multilink' };
+            }
+            return { type: 'text', default_value: attribute.default };
+        case 'boolean':
+            return { type: 'boolean', default_value: attribute.default };
+        case 'number':
+        case 'integer':
+            return { type: 'number', default_value: attribute.default };
+        case 'array':
+        case 'object':
+            // No structured equivalent: the value is kept as JSON
+            return { type: 'textarea', description: 'JSON value migrated from WordPress' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Generates Storyblok component definitions from the exported `block_schemas.json`.
+ *
+ * Rules:
+ * - `whitelist`: block names to generate components for (nothing is generated without it)
+ * - `rename`: block name → component name
+ * - `fields`: block name → { attribute name → field name, or `false` to drop it }
+ * - `excludeAttributes`: attribute names dropped for every block
+ */
+export function generateComponentSchemas(blockSchemas, rules = {}) {
+    const blockTypes = blockSchemas?.block_types || {};
+    const whitelist = new Set(rules.whitelist || []);
+    const rename = rules.rename || {};
+    const excluded = new Set(rules.excludeAttributes || DEFAULT_EXCLUDED_ATTRIBUTES);
+
+    const components = [];
+
+    for (const [blockName, blockType] of Object.entries(blockTypes)) {
+        if (!whitelist.has(blockName)) continue;
+
+        const fieldNames = rules.fields?.[blockName] || {};
+        const schema = {};
+
+        for (const [attributeName, attribute] of Object.entries(blockType.attributes || {})) {
+            if (excluded.has(attributeName) || fieldNames[attributeName] === false) continue;
+
+            const field = attributeToField(attributeName, attribute);
+            if (!field) continue;
+
+            const fieldName = fieldNames[attributeName] || attributeName;
+            schema[fieldName] = {
+                ...Object.fromEntries(Object.entries(field).filter(([, value]) => value !== undefined)),
+                display_name: toDisplayName(attributeName),
+            };
+        }
+
+        // Blocks declaring this one as parent/ancestor are its allowed children
+        const children = Object.values(blockTypes)
+            .filter(child => whitelist.has(child.name) &&
+                [...(child.parent || []), ...(child.ancestor || [])].includes(blockName))
+            .map(child => blockToComponentName(child.name, rename));
+
+        const supportsLayout = blockType.supports?.layout || blockType.supports?.__experimentalLayout;
+
+        if (children.length || supportsLayout) {
+            schema.body = {
+                type: 'bloks',
+                ...(children.length && !supportsLayout ? {
+                    restrict_components: true,
+                    component_whitelist: children,
+                } : {}),
+            };
+        }
+
+        components.push({
+            name: blockToComponentName(blockName, rename),
+            display_name: blockType.title || toDisplayName(blockName),
+            schema,
+            is_root: false,
+            is_nestable: true,
+        });
+    }
+
+    return components;
+}
+
+/**
+ * Creates a block transformer that fills a generated component from the block
+ * attributes, reading sourced attributes (`html`, `text`, `attribute`) from the block HTML
+ */
+export function createSchemaTransformer(blockName, blockType, rules = {}) {
+    const componentName = blockToComponentName(blockName, rules.rename);
+    const fieldNames = rules.fields?.[blockName] || {};
+    const excluded = new Set(rules.excludeAttributes || DEFAULT_EXCLUDED_ATTRIBUTES);
+
+    return (block, { transformChildren, richtext }) => {
+        const $ = cheerio.load(block.innerHTML || '');
+        const blok = { component: componentName };
+
+        for (const [attributeName, attribute] of Object.entries(blockType.attributes || {})) {
+            if (excluded.has(attributeName) || fieldNames[attributeName] === false) continue;
+
+            const field = attributeToField(attributeName, attribute);
+            if (!field) continue;
+
+            const $target = attribute.selector ? $(attribute.selector).first() : $.root();
+            let value = block.attributes[attributeName];
+
+            if (value === undefined) {
+                if (['html', 'rich-text'].includes(attribute.source)) {
+                    value = $target.html();
+                } else if (attribute.source === 'text') {
+                    value = $target.text().trim();
+                } else if (attribute.source === 'attribute') {
+                    value = $target.attr(attribute.attribute);
+                } else {
+                    value = attribute.default;
+                }
+            }
+
+            const fieldName = fieldNames[attributeName] || attributeName;
+
+            if (field.type === 'richtext') {
+                blok[fieldName] = richtext(value || '');
+            } else if (field.type === 'asset') {
+                blok[fieldName] = value ? { filename: value, alt: $target.attr('alt') || '' } : null;
+            } else if (field.type === 'multilink') {
+                blok[fieldName] = { url: value || '', linktype: 'url' };
+            } else if (field.type === 'textarea') {
+                blok[fieldName] = value !== undefined ? JSON.stringify(value) : '';
+            } else if (value !== undefined) {
+                blok[fieldName] = field.type === 'option' ? String(value) : value;
+            }
+        }
+
+        if (block.innerBlocks?.length) {
+            blok.body = transformChildren(block.innerBlocks);
+        }
+
+        return blok;
+    };
+}
@@ -0,0 +1,159 @@
+import { randomUUID } from 'crypto';
+import { stripHtml } from '@migration/shared';
+
+/**
+ * SEO metadata of the exported items (Yoast SEO's `yoast_head_json`, or the
+ * `rank_math` meta of the block exporter) mapped into a field of the Storyblok
+ * SEO app (`seo_metatags`), plus canonical URL and robots fields. Values the
+ * SEO plugin left empty fall back to the item's own title, excerpt and image.
+ */
+
+// Robots directives kept; `index` and `follow` are the defaults
+export const ROBOTS_DIRECTIVES = ['noindex', 'nofollow', 'noarchive', 'nosnippet', 'noimageindex'];
+
+// Length of descriptions built from the excerpt or the content
+const DESCRIPTION_LENGTH = 160;
+
+function truncate(text, length) {
+    if (text.length <= length) return text;
+
+    const cut = text.slice(0, length - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+function normalizeUrl(url) {
+    return (url || '').replace(/^https?:/, '').replace(/\/$/, '');
+}
+
+// Yoast: `{ index: 'noindex', follow: 'follow', 'max-snippet': '...' }`; Rank Math: `['noindex', 'nofollow']`
+function getRobotsDirectives(robots) {
+    const values = Array.isArray(robots) ? robots : Object.values(robots || {});
+    return ROBOTS_DIRECTIVES.filter(directive => values.includes(directive));
+}
+
+/**
+ * SEO values of an item from the SEO plugin that exported them, or null
+ */
+export function getPluginSeo(item) {
+    const yoast = item.yoast_head_json;
+    if (yoast) {
+        return {
+            plugin: 'yoast',
+            title: yoast.title,
+            description: yoast.description,
+            canonical: yoast.canonical,
+            robots: getRobotsDirectives(yoast.robots),
+            og_title: yoast.og_title,
+            og_description: yoast.og_description,
+            og_image: yoast.og_image?.[0]?.url,
+            twitter_title: yoast.twitter_title,
+            twitter_description: yoast.twitter_description,
+            twitter_image: yoast.twitter_image,
+        };
+    }
+
+    const rankMath = item.rank_math;
+    if (rankMath) {
+        return {
+            plugin: 'rank_math',
+            title: rankMath.title,
+            description: rankMath.description,
+            canonical: rankMath.canonical,
+            robots: getRobotsDirectives(rankMath.robots),
+            og_title: rankMath.og_title,
+            og_description: rankMath.og_description,
+            og_image: rankMath.og_image,
+            twitter_title: rankMath.twitter_title,
+            twitter_description: rankMath.twitter_description,
+            twitter_image: rankMath.twitter_image,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Maps the SEO metadata of the exported items following the `seo` mapping config
+ */
+export class SeoMapper {
+    constructor(seoConfig, { contentTypes = {} }) {
+        this.enabled = Boolean(seoConfig);
+        // Components of the content types with SEO fields (collection keys, default all)
+        this.components = new Set((seoConfig?.contentTypes || Object.keys(contentTypes))
+            .map(type => contentTypes[type]?.component)
+            .filter(Boolean));
+        this.field = seoConfig?.field || 'seo';
+        this.canonicalField = seoConfig?.canonicalField ?? 'canonical';
+        this.robotsField = seoConfig?.robotsField ?? 'robots';
+    }
+
+    appliesTo(typeConfig) {
+        return this.enabled && this.components.has(typeConfig.component);
+    }
+
+    /**
+     * SEO fields of a mapped item. Fallbacks: title → item title, description →
+     * excerpt (or content) text, Open Graph → title/description/featured image,
+     * Twitter → Open Graph. A canonical URL pointing to the item itself is left
+     * empty, as the story URL replaces it.
+     */
+    mapItemSeo(item, typeConfig, data) {
+        if (!this.appliesTo(typeConfig)) return {};
+
+        const seo = getPluginSeo(item) || {};
+        const featuredImage = data.media?.find(media => media.id === item.featured_media)?.source_url;
+
+        const title = seo.title || stripHtml(item.title?.rendered);
+        const description = seo.description ||
+            truncate(stripHtml(item.excerpt?.rendered) || stripHtml(item.content?.rendered), DESCRIPTION_LENGTH);
+        const ogTitle = seo.og_title || title;
+        const ogDescription = seo.og_description || description;
+        const ogImage = seo.og_image || featuredImage || '';
+
+        const fields = {
+            [this.field]: {
+                _uid: randomUUID(),
+                plugin: 'seo_metatags',
+                title,
+                description,
+                og_title: ogTitle,
+                og_description: ogDescription,
+                og_image: ogImage,
+                twitter_title: seo.twitter_title || ogTitle,
+                twitter_description: seo.twitter_description || ogDescription,
+                twitter_image: seo.twitter_image || ogImage,
+            },
+        };
+
+        if (this.canonicalField) {
+            const canonical = seo.canonical || '';
+            fields[this.canonicalField] = normalizeUrl(canonical) === normalizeUrl(item.link) ? '' : canonical;
+        }
+        if (this.robotsField) {
+            fields[this.robotsField] = seo.robots || [];
+        }
+
+        return fields;
+    }
+
+    /**
+     * SEO app, canonical and robots fields of the content type components
+     */
+    getFieldDefinitions(typeConfig) {
+        if (!this.appliesTo(typeConfig)) return {};
+
+        return {
+            [this.field]: { type: 'custom', field_type: 'seo_metatags', display_name: 'SEO' },
+            ...(this.canonicalField ? {
+                [this.canonicalField]: { type: 'text', display_name: 'Canonical URL' },
+            } : {}),
+            ...(this.robotsField ? {
+                [this.robotsField]: {
+                    type: 'options',
+                    display_name: 'Robots',
+                    options: ROBOTS_DIRECTIVES.map(value => ({ name: value, value })),
+                },
+            } : {}),
+        };
+    }
+}
@@ -0,0 +1,332 @@
+import slugify from 'slugify';
+import { createStoryLinkPlaceholder } from '@migration/shared';
+import { addFieldTranslations } from './i18n.js';
+import { applyLanguageRootFolder, getItemPathSegments } from './folders.js';
+
+/**
+ * How a taxonomy is migrated:
+ * - `tags`: term names go to the stories' `tag_list`, and the tags are created in the space
+ * - `datasource`: a datasource with an entry per term (translated names as dimension values),
+ *   referenced from an `options` field
+ * - `stories`: a story per term (its own content type, in a folder), referenced from
+ *   an `options` field with `source: internal_stories`
+ * - `false`: not migrated
+ */
+export const TAXONOMY_STRATEGIES = ['tags', 'datasource', 'stories'];
+
+// Placeholder key of a term story, so it never clashes with a post ID (`wp-story:term-12`)
+export function getTermStoryKey(termId) {
+    return `term-${termId}`;
+}
+
+/**
+ * Migrates the exported taxonomies following their `taxonomies` mapping config
+ */
+export class TaxonomyMapper {
+    constructor(taxonomiesConfig, { wordpressData, languages, defaultLanguage }) {
+        this.wordpressData = wordpressData;
+        // Language code → name, default language first
+        this.languageNames = new Map(languages.map(({ code, name }) => [code, name]));
+        this.languages = [...this.languageNames.keys()]
+            .sort((a, b) => (b === defaultLanguage) - (a === defaultLanguage));
+        this.defaultLanguage = defaultLanguage;
+        this.taxonomies = this.resolveSettings(taxonomiesConfig || {});
+    }
+
+    /**
+     * Settings of every exported taxonomy with a strategy, with defaults
+     * from the taxonomy itself (`rest_base`, name, hierarchy)
+     */
+    resolveSettings(taxonomiesConfig) {
+        const infos = new Map();
+        for (const data of Object.values(this.wordpressData)) {
+            for (const [key, taxonomy] of Object.entries(data.taxonomies || {})) {
+                if (!infos.has(key)) infos.set(key, taxonomy.info || {});
+            }
+        }
+
+        return Object.entries(taxonomiesConfig)
+            .filter(([key, config]) => config?.strategy && infos.has(key))
+            .map(([key, config]) => {
+                const info = infos.get(key);
+                const restBase = info.rest_base || key;
+
+                return {
+                    key,
+                    strategy: config.strategy,
+                    restBase,
+                    name: info.name || key,
+                    hierarchical: Boolean(info.hierarchical),
+                    field: config.field || restBase,
+                    datasource: config.datasource || restBase,
+                    component: config.component || key.replace(/[^a-z0-9]+/gi, '_').toLowerCase(),
+                    folder: config.folder ?? restBase,
+                };
+            });
+    }
+
+    getTerms(taxonomy, lang) {
+        return this.wordpressData[lang]?.taxonomies?.[taxonomy.key]?.terms || [];
+    }
+
+    findTerm(taxonomy, id, lang) {
+        return this.getTerms(taxonomy, lang).find(term => term.id === Number(id)) || null;
+    }
+
+    /**
+     * Default language counterpart of a term (through its Polylang `translations`),
+     * or the term itself when it has none
+     */
+    getDefaultTerm(taxonomy, term, lang) {
+        if (lang === this.defaultLanguage) return term;
+
+        const defaultId = term.translations?.[this.defaultLanguage];
+        return (defaultId && this.findTerm(taxonomy, defaultId, this.defaultLanguage)) || term;
+    }
+
+    // Datasource entry value of a term, shared by all its translations
+    getEntryValue(taxonomy, term, lang) {
+        return slugify(this.getDefaultTerm(taxonomy, term, lang).name, { lower: true });
+    }
+
+    // Hierarchical terms are shown with their ancestors: `Parent › Child`
+    getEntryName(taxonomy, term, lang) {
+        if (!taxonomy.hierarchical) return term.name;
+
+        const names = [term.name];
+        const seen = new Set([term.id]);
+        let parent = term.parent && this.findTerm(taxonomy, term.parent, lang);
+
+        while (parent && !seen.has(parent.id)) {
+            names.unshift(parent.name);
+            seen.add(parent.id);
+            parent = parent.parent && this.findTerm(taxonomy, parent.parent, lang);
+        }
+
+        return names.join(' › ');
+    }
+
+    /**
+     * Taxonomy values of a mapped item: content fields (datasource values or term
+     * story references) and tag names. In field translation mode, references point
+     * to the default language term story, which holds the translations.
+     */
+    mapItemTerms(item, lang, mode) {
+        const fields = {};
+        const tags = [];
+
+        for (const taxonomy of this.taxonomies) {
+            if (!Array.isArray(item[taxonomy.restBase])) continue;
+
+            const terms = item[taxonomy.restBase]
+                .map(id => this.findTerm(taxonomy, id, lang))
+                .filter(Boolean);
+
+            if (taxonomy.strategy === 'tags') {
+                tags.push(...terms.map(term => term.name));
+            } else if (taxonomy.strategy === 'datasource') {
+                fields[taxonomy.field] = terms.map(term => this.getEntryValue(taxonomy, term, lang));
+            } else if (taxonomy.strategy === 'stories') {
+                fields[taxonomy.field] = terms.map(term => createStoryLinkPlaceholder(getTermStoryKey(
+                    mode === 'field' ? this.getDefaultTerm(taxonomy, term, lang).id : term.id
+                )));
+            }
+        }
+
+        return { fields, tags: [...new Set(tags)] };
+    }
+
+    /**
+     * Datasources of the `datasource` taxonomies: one entry per default language term,
+     * translated names as `dimension_values` (one dimension per other language)
+     */
+    mapDatasources() {
+        return this.taxonomies
+            .filter(taxonomy => taxonomy.strategy === 'datasource')
+            .map(taxonomy => {
+                const entries = new Map();
+                const dimensions = new Set();
+
+                // Default language first, so translations find their entry
+                for (const lang of this.languages) {
+                    for (const term of this.getTerms(taxonomy, lang)) {
+                        const value = this.getEntryValue(taxonomy, term, lang);
+                        const name = this.getEntryName(taxonomy, term, lang);
+                        const entry = entries.get(value);
+
+                        if (!entry) {
+                            entries.set(value, { name, value });
+                        } else if (lang !== this.defaultLanguage && name !== entry.name) {
+                            entry.dimension_values = { ...entry.dimension_values, [lang]: name };
+                            dimensions.add(lang);
+                        }
+                    }
+                }
+
+                return {
+                    name: taxonomy.name,
+                    slug: taxonomy.datasource,
+                    ...(dimensions.size > 0 ? {
+                        dimensions: [...dimensions].map(lang => ({ name: this.languageNames.get(lang), entry_value: lang })),
+                    } : {}),
+                    datasource_entries: Array.from(entries.values()),
+                };
+            });
+    }
+
+    // Names of every term of the `tags` taxonomies, created as tags in the space
+    mapTags() {
+        const names = new Set();
+
+        for (const taxonomy of this.taxonomies.filter(t => t.strategy === 'tags')) {
+            for (const lang of this.languages) {
+                this.getTerms(taxonomy, lang).forEach(term => names.add(term.name));
+            }
+        }
+
+        return [...names].map(name => ({ name }));
+    }
+
+    /**
+     * Stories of the `stories` taxonomies. Terms sit in the taxonomy folder, nested
+     * like their hierarchy (a parent term is the start page of its children's folder),
+     * and hierarchical terms reference their parent.
+     */
+    mapTermStories({ mode, rootFolders = {} }) {
+        const stories = [];
+
+        for (const taxonomy of this.taxonomies.filter(t => t.strategy === 'stories')) {
+            const merged = new Set();
+
+            for (const lang of this.languages) {
+                const terms = this.getTerms(taxonomy, lang);
+
+                for (const term of terms) {
+                    if (merged.has(`${lang}-${term.id}`)) continue;
+
+                    const story = this.mapTermToStory(taxonomy, term, lang, terms);
+                    // Other languages go under their root folder, or their code
+                    const rootFolder = rootFolders[lang] ?? (lang === this.defaultLanguage ? undefined : lang);
+                    story.path_segments = applyLanguageRootFolder(story.path_segments, lang, rootFolder);
+                    stories.push(story);
+
+                    if (mode === 'field' && lang === this.defaultLanguage) {
+                        this.addTermTranslations(taxonomy, story, term, merged);
+                    }
+                }
+            }
+        }
+
+        return stories;
+    }
+
+    /**
+     * Terms of the `stories` taxonomies deleted in WordPress (exported `deletions`,
+     * keyed by taxonomy), whose stories the importer unpublishes or deletes
+     */
+    mapTermDeletions(deletions) {
+        return this.taxonomies
+            .filter(taxonomy => taxonomy.strategy === 'stories')
+            .flatMap(taxonomy => (deletions[taxonomy.key] || []).map(term => ({
+                wp_term_id: term.id,
+                type: taxonomy.key,
+                slug: term.slug,
+                lang: term.language || this.defaultLanguage,
+                deleted_at: term.deleted_at,
+            })));
+    }
+
+    mapTermToStory(taxonomy, term, lang, terms) {
+        const content = {
+            component: taxonomy.component,
+            title: term.name,
+            description: term.description || '',
+        };
+
+        if (taxonomy.hierarchical) {
+            content.parent = term.parent ? createStoryLinkPlaceholder(getTermStoryKey(term.parent)) : '';
+        }
+
+        return {
+            name: term.name,
+            slug: term.slug,
+            content,
+            wp_term_id: term.id,
+            lang,
+            path_segments: [
+                ...taxonomy.folder.split('/').filter(Boolean),
+                ...getItemPathSegments({ ...term, link: null }, terms),
+            ],
+        };
+    }
+
+    addTermTranslations(taxonomy, story, term, merged) {
+        for (const [lang, translationId] of Object.entries(term.translations || {})) {
+            if (lang === story.lang) continue;
+
+            const translation = this.findTerm(taxonomy, translationId, lang);
+            if (!translation) continue;
+
+            const translatedStory = this.mapTermToStory(taxonomy, translation, lang, this.getTerms(taxonomy, lang));
+            addFieldTranslations(story.content, translatedStory.content, lang, ['parent']);
+            story.translated_slugs = [
+                ...(story.translated_slugs || []),
+                { lang, name: translation.name, slug: translation.slug },
+            ];
+            merged.add(`${lang}-${translation.id}`);
+        }
+    }
+
+    /**
+     * Content type component of each `stories` taxonomy
+     */
+    getComponents() {
+        return this.taxonomies
+            .filter(taxonomy => taxonomy.strategy === 'stories')
+            .map(taxonomy => ({
+                name: taxonomy.component,
+                display_name: taxonomy.name,
+                schema: {
+                    title: { type: 'text', required: true },
+                    description: { type: 'textarea' },
+                    ...(taxonomy.hierarchical ? {
+                        parent: {
+                            type: 'option',
+                            source: 'internal_stories',
+                            filter_content_type: [taxonomy.component],
+                        },
+                    } : {}),
+                },
+                is_root: true,
+                is_nestable: false,
+            }));
+    }
+
+    /**
+     * Fields the taxonomies add to the components of the items carrying them
+     * (items with a `<rest_base>` list of term IDs)
+     */
+    getFieldDefinitions(items) {
+        const definitions = {};
+
+        for (const taxonomy of this.taxonomies) {
+            if (!items.some(item => Array.isArray(item[taxonomy.restBase]))) continue;
+
+            if (taxonomy.strategy === 'datasource') {
+                definitions[taxonomy.field] = {
+                    type: 'options',
+                    source: 'internal_datasource',
+                    datasource_slug: taxonomy.datasource,
+                };
+            } else if (taxonomy.strategy === 'stories') {
+                definitions[taxonomy.field] = {
+                    type: 'options',
+                    source: 'internal_stories',
+                    filter_content_type: [taxonomy.component],
+                };
+            }
+        }
+
+        return definitions;
+    }
+}
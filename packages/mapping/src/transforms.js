@@ -0,0 +1,75 @@
+import slugify from 'slugify';
+import { serializeBlockHtml } from './blocks.js';
+
+/**
+ * Built-in field transforms usable by name from a mapping configuration.
+ *
+ * Every transform receives `(value, context)`, where context is
+ * `{ item, lang, data, mapper, transforms }` and `data` holds the loaded
+ * WordPress data for the current language.
+ */
+export const builtInTransforms = {
+    richtext: (html, { mapper }) => mapper.convertHtmlToRichText(html || ''),
+
+    // HTML, or a Gutenberg block tree (rebuilt into its HTML) → Markdown. Like `blocks`,
+    // a missing block tree falls back to the rendered HTML
+    markdown: (value, { item, mapper }) => {
+        if (typeof value === 'string' || value === null) {
+            return mapper.convertHtmlToMarkdown(value || '');
+        }
+        return mapper.convertHtmlToMarkdown(value?.length
+            ? value.map(serializeBlockHtml).join('\n')
+            : item.content?.rendered || '');
+    },
+
+    stripHtml: (html, { mapper }) => (html ? mapper.stripHtml(html) : ''),
+
+    authorName: (authorId, { data }) => {
+        const author = data.users?.find(u => u.id === Number(authorId));
+        return author?.name || '';
+    },
+
+    categoryNames: (categoryIds, { data }) => (categoryIds || []).map(catId => {
+        const cat = data.categories?.find(c => c.id === catId);
+        return cat?.name || '';
+    }).filter(Boolean),
+
+    tagNames: (tagIds, { data }) => (tagIds || []).map(tagId => {
+        const tag = data.tags?.find(t => t.id === tagId);
+        return tag?.name || '';
+    }).filter(Boolean),
+
+    // Name(s) → datasource entry value(s), as written to `datasources.json`
+    datasourceValue: names => (Array.isArray(names)
+        ? names.map(name => slugify(name, { lower: true }))
+        : (names ? slugify(names, { lower: true }) : '')),
+
+    featuredImage: (mediaId, { data }) => {
+        if (!mediaId) return null;
+
+        const media = data.media?.find(m => m.id === mediaId);
+        if (!media) return null;
+
+        return {
+            filename: media.source_url,
+            alt: media.alt_text || media.title.rendered,
+            title: media.title.rendered,
+        };
+    },
+
+    // Gutenberg block tree → nested bloks, falling back to the rendered HTML
+    // when the item was exported without block data
+    blocks: (blocks, context) => {
+        const { item, mapper } = context;
+        if (blocks?.length) {
+            return mapper.blockRegistry.transformBlocks(blocks, context);
+        }
+        return mapper.blockRegistry.transformBlocks([{ innerHTML: item.content?.rendered || '' }], context);
+    },
+
+    string: value => (value === undefined || value === null ? '' : String(value)),
+
+    number: value => (value === undefined || value === null || value === '' ? null : Number(value)),
+
+    boolean: value => Boolean(value),
+};
@@ -0,0 +1,402 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Ajv from 'ajv';
+import { config } from 'dotenv';
+import { findWorkspaceRoot } from '@migration/shared';
+import { mappedDataSchemas } from './mapped-data-schemas.js';
+
+config();
+
+const WORKSPACE_ROOT = findWorkspaceRoot();
+const MAPPED_DATA_DIR = process.env.MAPPING_OUTPUT_DIR || path.join(WORKSPACE_ROOT, 'mapped-data');
+
+const RICHTEXT_NODE_TYPES = new Set([
+    'doc', 'paragraph', 'heading', 'text', 'bullet_list', 'ordered_list', 'list_item',
+    'blockquote', 'code_block', 'horizontal_rule', 'hard_break', 'image', 'blok',
+    'emoji', 'table', 'tableRow', 'tableCell', 'tableHeader',
+]);
+const RICHTEXT_MARK_TYPES = new Set([
+    'bold', 'italic', 'strike', 'underline', 'code', 'link', 'styled', 'superscript',
+    'subscript', 'textStyle', 'highlight', 'anchor',
+]);
+// Keys Storyblok manages on every blok
+const BLOK_META_KEYS = new Set(['component', '_uid', '_editable']);
+
+function isEmpty(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    // Asset fields without a file
+    if (typeof value === 'object' && 'filename' in value) return !value.filename;
+    return false;
+}
+
+/**
+ * Errors and warnings found in `mapped-data`, per file and location
+ */
+export class ValidationReport {
+    constructor() {
+        this.issues = [];
+    }
+
+    error(file, location, message) {
+        this.issues.push({ level: 'error', file, location, message });
+    }
+
+    warning(file, location, message) {
+        this.issues.push({ level: 'warning', file, location, message });
+    }
+
+    get errors() {
+        return this.issues.filter(issue => issue.level === 'error');
+    }
+
+    get warnings() {
+        return this.issues.filter(issue => issue.level === 'warning');
+    }
+
+    hasErrors() {
+        return this.errors.length > 0;
+    }
+
+    print() {
+        const byFile = {};
+        for (const issue of this.issues) {
+            (byFile[issue.file] ??= []).push(issue);
+        }
+
+        for (const [file, issues] of Object.entries(byFile)) {
+            console.log(`\n  ${file}`);
+            for (const issue of issues) {
+                const icon = issue.level === 'error' ? '✗' : '⚠️ ';
+                console.log(`    ${icon} ${issue.location ? `${issue.location}: ` : ''}${issue.message}`);
+            }
+        }
+
+        console.log(`\n  ${this.errors.length} errors, ${this.warnings.length} warnings`);
+    }
+
+    async save(outputDir) {
+        const reportPath = path.join(outputDir, 'validation-report.json');
+        await fs.writeJson(reportPath, {
+            generated_at: new Date().toISOString(),
+            errors: this.errors.length,
+            warnings: this.warnings.length,
+            issues: this.issues,
+        }, { spaces: 2 });
+        console.log(`  ✓ Saved report to ${path.basename(reportPath)}`);
+    }
+}
+
+/**
+ * Checks mapped data against the JSON Schemas of the importer's input files, and
+ * story content against the component schemas of `components.json`
+ */
+export class MappedDataValidator {
+    constructor(inputDir) {
+        this.inputDir = inputDir;
+        this.report = new ValidationReport();
+        this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        this.data = {};
+        this.components = new Map();
+        this.datasourceValues = new Map();
+    }
+
+    async validate() {
+        await this.validateFiles();
+
+        this.components = new Map((this.data['components.json'] || []).map(c => [c.name, c]));
+        this.datasourceValues = new Map((this.data['datasources.json'] || []).map(datasource => [
+            datasource.slug,
+            new Set((datasource.datasource_entries || []).map(entry => entry.value)),
+        ]));
+
+        for (const story of this.data['stories.json'] || []) {
+            if (story?.content?.component) {
+                this.validateBlok(story.content, this.getStoryLocation(story));
+            }
+        }
+
+        this.validateSlugs();
+
+        return this.report;
+    }
+
+    async validateFiles() {
+        for (const [file, schema] of Object.entries(mappedDataSchemas)) {
+            const filePath = path.join(this.inputDir, file);
+
+            if (!(await fs.pathExists(filePath))) {
+                this.report.error(file, '', 'file not found, run the mapping first');
+                continue;
+            }
+
+            try {
+                this.data[file] = await fs.readJson(filePath);
+            } catch (error) {
+                this.report.error(file, '', `invalid JSON: ${error.message}`);
+                continue;
+            }
+
+            const validate = this.ajv.compile(schema);
+            if (!validate(this.data[file])) {
+                for (const error of validate.errors) {
+                    this.report.error(file, this.describeJsonPath(file, error.instancePath), error.message);
+                }
+            }
+        }
+    }
+
+    // `/3/content/title` → `<story name> (lang) › content/title`
+    describeJsonPath(file, instancePath) {
+        const [index, ...rest] = instancePath.split('/').filter(Boolean);
+        const item = Array.isArray(this.data[file]) ? this.data[file][index] : null;
+
+        if (!item) return instancePath || '';
+
+        const name = file === 'stories.json' ? this.getStoryLocation(item) : (item.full_slug || item.slug || item.name || item.filename || `#${index}`);
+        return [name, rest.join('/')].filter(Boolean).join(' › ');
+    }
+
+    getStoryLocation(story) {
+        return `${story.full_slug || story.slug} (${story.lang})`;
+    }
+
+    validateBlok(blok, location) {
+        const component = this.components.get(blok.component);
+
+        if (!component) {
+            this.report.error('stories.json', location, `component "${blok.component}" is not defined in components.json`);
+            return;
+        }
+
+        const schema = component.schema || {};
+
+        for (const [field, definition] of Object.entries(schema)) {
+            if (definition.required && isEmpty(blok[field])) {
+                this.report.error('stories.json', `${location} › ${blok.component}.${field}`, 'required field is empty');
+            }
+        }
+
+        for (const [key, value] of Object.entries(blok)) {
+            if (BLOK_META_KEYS.has(key)) continue;
+
+            // Field-level translations are checked against the field they translate
+            const field = key.split('__i18n__')[0];
+            const definition = schema[field];
+            const fieldLocation = `${location} › ${blok.component}.${key}`;
+
+            if (!definition) {
+                this.report.warning('stories.json', fieldLocation, 'field is not in the component schema, Storyblok will not show it');
+                continue;
+            }
+
+            this.validateFieldValue(value, definition, fieldLocation);
+        }
+    }
+
+    validateFieldValue(value, definition, location) {
+        if (value === undefined || value === null || value === '') return;
+
+        switch (definition.type) {
+            case 'text':
+            case 'textarea':
+            case 'markdown':
+                if (typeof value !== 'string') {
+                    this.report.error('stories.json', location, `expected a string, got ${typeof value}`);
+                }
+                break;
+            case 'number':
+                if (Number.isNaN(Number(value))) {
+                    this.report.error('stories.json', location, `"${value}" is not a number`);
+                }
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    this.report.error('stories.json', location, `expected a boolean, got ${typeof value}`);
+                }
+                break;
+            case 'datetime':
+                if (Number.isNaN(Date.parse(value))) {
+                    this.report.error('stories.json', location, `"${value}" is not a valid date`);
+                }
+                break;
+            case 'option':
+                this.validateOptionValue(value, definition, location);
+                break;
+            case 'options':
+                if (!Array.isArray(value)) {
+                    this.report.error('stories.json', location, 'expected an array of option values');
+                    break;
+                }
+                value.forEach(option => this.validateOptionValue(option, definition, location));
+                break;
+            case 'asset':
+                if (typeof value !== 'object' || !('filename' in value)) {
+                    this.report.error('stories.json', location, 'expected an asset object with a filename');
+                }
+                break;
+            case 'multilink':
+                if (typeof value !== 'object' || !value.linktype) {
+                    this.report.error('stories.json', location, 'expected a link object with a linktype');
+                }
+                break;
+            case 'richtext':
+                this.validateRichtext(value, location);
+                break;
+            case 'bloks':
+                this.validateBloks(value, definition, location);
+                break;
+            default:
+                break;
+        }
+    }
+
+    validateOptionValue(value, definition, location) {
+        if (definition.source === 'internal' || definition.source === 'internal_datasource') {
+            const values = this.datasourceValues.get(definition.datasource_slug);
+
+            if (!values) {
+                this.report.error('stories.json', location, `datasource "${definition.datasource_slug}" is not in datasources.json`);
+            } else if (!values.has(String(value))) {
+                this.report.error('stories.json', location, `"${value}" is not a value of datasource "${definition.datasource_slug}"`);
+            }
+            return;
+        }
+
+        if (Array.isArray(definition.options) && !definition.options.some(option => option.value === String(value))) {
+            this.report.error('stories.json', location, `"${value}" is not one of the options (${definition.options.map(o => o.value).join(', ')})`);
+        }
+    }
+
+    validateBloks(value, definition, location) {
+        if (!Array.isArray(value)) {
+            this.report.error('stories.json', location, 'expected an array of bloks');
+            return;
+        }
+
+        value.forEach((blok, index) => {
+            const blokLocation = `${location}[${index}]`;
+
+            if (!blok?.component) {
+                this.report.error('stories.json', blokLocation, 'blok has no component');
+                return;
+            }
+
+            if (definition.restrict_components && !definition.component_whitelist?.includes(blok.component)) {
+                this.report.error('stories.json', blokLocation, `component "${blok.component}" is not allowed here (${(definition.component_whitelist || []).join(', ')})`);
+            }
+
+            this.validateBlok(blok, blokLocation);
+        });
+    }
+
+    validateRichtext(doc, location) {
+        if (typeof doc !== 'object' || doc.type !== 'doc' || !Array.isArray(doc.content)) {
+            this.report.error('stories.json', location, 'richtext must be a { type: "doc", content: [] } object');
+            return;
+        }
+
+        this.validateRichtextNodes(doc.content, location);
+    }
+
+    validateRichtextNodes(nodes, location) {
+        for (const node of nodes) {
+            if (!RICHTEXT_NODE_TYPES.has(node?.type)) {
+                this.report.error('stories.json', location, `unknown richtext node type "${node?.type}"`);
+                continue;
+            }
+
+            if (node.type === 'text' && (typeof node.text !== 'string' || node.text === '')) {
+                this.report.error('stories.json', location, 'richtext text nodes must have non-empty text');
+            }
+
+            if (node.type === 'heading' && !(node.attrs?.level >= 1 && node.attrs?.level <= 6)) {
+                this.report.error('stories.json', location, `heading level "${node.attrs?.level}" must be between 1 and 6`);
+            }
+
+            for (const mark of node.marks || []) {
+                if (!RICHTEXT_MARK_TYPES.has(mark?.type)) {
+                    this.report.error('stories.json', location, `unknown richtext mark type "${mark?.type}"`);
+                } else if (mark.type === 'link' && !mark.attrs?.href && !mark.attrs?.uuid) {
+                    this.report.error('stories.json', location, 'link mark has neither href nor uuid');
+                }
+            }
+
+            if (node.type === 'blok') {
+                this.validateBloks(node.attrs?.body || [], {}, `${location} › blok`);
+            }
+
+            if (node.content !== undefined) {
+                if (!Array.isArray(node.content)) {
+                    this.report.error('stories.json', location, `"${node.type}" node content must be an array`);
+                } else {
+                    this.validateRichtextNodes(node.content, location);
+                }
+            }
+        }
+    }
+
+    // Storyblok slugs are unique within a folder, and each folder has one start page
+    validateSlugs() {
+        const folderSlugs = new Set((this.data['folders.json'] || []).map(folder => folder.full_slug));
+        const slugsByFolder = new Map();
+        const startPages = new Map();
+
+        for (const story of this.data['stories.json'] || []) {
+            if (!story?.slug) continue;
+
+            const folderPath = story.folder_path || '';
+            const location = this.getStoryLocation(story);
+            const key = `${folderPath}/${story.slug}`;
+
+            if (slugsByFolder.has(key)) {
+                this.report.error('stories.json', location, `slug "${story.slug}" is already used in folder "${folderPath || '/'}" by ${slugsByFolder.get(key)}`);
+            } else {
+                slugsByFolder.set(key, location);
+            }
+
+            if (story.is_startpage) {
+                if (startPages.has(folderPath)) {
+                    this.report.error('stories.json', location, `folder "${folderPath}" already has a start page: ${startPages.get(folderPath)}`);
+                }
+                startPages.set(folderPath, location);
+            } else if (folderSlugs.has([folderPath, story.slug].filter(Boolean).join('/'))) {
+                this.report.error('stories.json', location, `full slug "${story.full_slug}" is also a folder`);
+            }
+        }
+    }
+}
+
+export async function validateMappedData(options = {}) {
+    const inputDir = options.inputDir || MAPPED_DATA_DIR;
+
+    console.log('🔍 Validating mapped data...');
+
+    const validator = new MappedDataValidator(inputDir);
+    const report = await validator.validate();
+
+    report.print();
+    if (await fs.pathExists(inputDir)) {
+        await report.save(inputDir);
+    }
+
+    if (report.hasErrors()) {
+        console.log('❌ Validation failed: fix the mapping before importing');
+    } else {
+        console.log('✅ Mapped data is valid');
+    }
+
+    return report;
+}
+
+async function main() {
+    const report = await validateMappedData();
+    process.exitCode = report.hasErrors() ? 1 : 0;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error('❌ Validation failed:', error.message);
+        process.exit(1);
+    });
+}
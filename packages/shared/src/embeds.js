@@ -0,0 +1,16 @@
+/**
+ * Embed providers with a Storyblok embed blok (`url`, `provider`, `caption`)
+ */
+export const EMBED_PROVIDERS = {
+    youtube: /(?:youtube(?:-nocookie)?\.com|youtu\.be)\//i,
+    vimeo: /vimeo\.com\//i,
+    twitter: /(?:twitter|x)\.com\//i,
+};
+
+/**
+ * Provider (`youtube`, `vimeo`, `twitter`) of an embed URL, or null when unsupported
+ */
+export function getEmbedProvider(url) {
+    const provider = Object.entries(EMBED_PROVIDERS).find(([, pattern]) => pattern.test(url || ''));
+    return provider ? provider[0] : null;
+}
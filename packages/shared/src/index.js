@@ -1 +1,7 @@
 export * from './utils.js';
+export * from './richtext.js';
+export * from './markdown.js';
+export * from './embeds.js';
+export * from './shortcodes.js';
+export * from './links.js';
+export * from './manifest.js';
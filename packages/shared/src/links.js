@@ -0,0 +1,157 @@
+/**
+ * Internal links are resolved in two phases: the mapper rewrites links to
+ * WordPress content into story links holding a placeholder keyed by WordPress id,
+ * and the importer replaces the placeholders once the stories exist in Storyblok.
+ */
+const PLACEHOLDER_PREFIX = 'wp-story:';
+
+/**
+ * Creates the placeholder stored in place of a story UUID
+ */
+export function createStoryLinkPlaceholder(wpId) {
+    return `${PLACEHOLDER_PREFIX}${wpId}`;
+}
+
+/**
+ * Returns the WordPress id of a placeholder (or its key, e.g. `term-12` for
+ * taxonomy term stories), or null if the value is not one
+ */
+export function parseStoryLinkPlaceholder(value) {
+    if (typeof value !== 'string' || !value.startsWith(PLACEHOLDER_PREFIX)) {
+        return null;
+    }
+
+    const key = value.slice(PLACEHOLDER_PREFIX.length);
+    return /^\d+$/.test(key) ? Number(key) : key;
+}
+
+/**
+ * Creates a richtext `link` mark pointing to a story (by placeholder or UUID)
+ */
+export function createStoryLinkMark(uuid, { href = '', anchor = null, target = '_self' } = {}) {
+    return {
+        type: 'link',
+        attrs: { href, uuid, anchor, target, linktype: 'story' },
+    };
+}
+
+/**
+ * Walks story content and rewrites internal links.
+ *
+ * `resolveUrl(url)` returns `{ id, path }` for a WordPress item, or null for external links.
+ * Handles richtext `link` marks and multilink objects (`{ url, linktype: 'url' }`).
+ */
+export function rewriteInternalLinks(content, resolveUrl) {
+    if (Array.isArray(content)) {
+        return content.map(item => rewriteInternalLinks(item, resolveUrl));
+    }
+
+    if (!content || typeof content !== 'object') {
+        return content;
+    }
+
+    // Richtext link mark
+    if (content.type === 'link' && content.attrs?.href && content.attrs.linktype !== 'story') {
+        const [url, anchor] = content.attrs.href.split('#');
+        const target = resolveUrl(url);
+        if (target) {
+            return createStoryLinkMark(createStoryLinkPlaceholder(target.id), {
+                href: target.path,
+                anchor: anchor || null,
+                target: content.attrs.target || '_self',
+            });
+        }
+        return content;
+    }
+
+    // Multilink field
+    if (content.linktype === 'url' && typeof content.url === 'string') {
+        const [url, anchor] = content.url.split('#');
+        const target = resolveUrl(url);
+        if (target) {
+            return {
+                id: createStoryLinkPlaceholder(target.id),
+                url: '',
+                linktype: 'story',
+                cached_url: target.path,
+                ...(anchor ? { anchor } : {}),
+            };
+        }
+        return content;
+    }
+
+    return Object.fromEntries(
+        Object.entries(content).map(([key, value]) => [key, rewriteInternalLinks(value, resolveUrl)])
+    );
+}
+
+/**
+ * Replaces story link and story reference placeholders with real story UUIDs.
+ *
+ * `resolveStory(wpId)` returns the imported story (`{ uuid, full_slug }`) or null.
+ * Unresolved links are downgraded to plain URL links so they don't point to nothing,
+ * unresolved references are removed.
+ * Returns `{ content, resolved, unresolved }`.
+ */
+export function resolveStoryLinkPlaceholders(content, resolveStory) {
+    const stats = { resolved: 0, unresolved: [] };
+
+    const walk = (node) => {
+        if (Array.isArray(node)) {
+            // Unresolved story references are dropped from reference lists
+            return node.map(walk).filter((value, index) => value !== '' || parseStoryLinkPlaceholder(node[index]) === null);
+        }
+
+        // Story reference (`option`/`options` field with internal stories): the placeholder itself
+        const referenceWpId = parseStoryLinkPlaceholder(node);
+        if (referenceWpId !== null) {
+            const story = resolveStory(referenceWpId);
+            if (story) {
+                stats.resolved++;
+                return story.uuid;
+            }
+            stats.unresolved.push(referenceWpId);
+            return '';
+        }
+
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+
+        // Richtext link mark
+        const markWpId = node.type === 'link' ? parseStoryLinkPlaceholder(node.attrs?.uuid) : null;
+        if (markWpId !== null) {
+            const story = resolveStory(markWpId);
+            if (story) {
+                stats.resolved++;
+                return { ...node, attrs: { ...node.attrs, uuid: story.uuid, href: `/${story.full_slug}` } };
+            }
+            stats.unresolved.push(markWpId);
+            return { ...node, attrs: { ...node.attrs, uuid: null, linktype: 'url' } };
+        }
+
+        // Multilink field
+        const fieldWpId = node.linktype === 'story' ? parseStoryLinkPlaceholder(node.id) : null;
+        if (fieldWpId !== null) {
+            const story = resolveStory(fieldWpId);
+            if (story) {
+                stats.resolved++;
+                return { ...node, id: story.uuid, cached_url: story.full_slug };
+            }
+            stats.unresolved.push(fieldWpId);
+            return { ...node, id: '', url: node.cached_url, linktype: 'url' };
+        }
+
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, walk(value)]));
+    };
+
+    const resolvedContent = walk(content);
+    return { content: resolvedContent, ...stats };
+}
+
+/**
+ * Whether the content contains any story link placeholder
+ */
+export function hasStoryLinkPlaceholders(content) {
+    return JSON.stringify(content ?? null).includes(`"${PLACEHOLDER_PREFIX}`);
+}
@@ -0,0 +1,66 @@
+/**
+ * Contract between the exporter and the mapper: `manifest.json` lists every
+ * exported file with its kind, language, content type and item count.
+ * Bump the version whenever the layout or the shape of an exported file changes.
+ */
+export const EXPORT_MANIFEST_VERSION = 1;
+export const EXPORT_MANIFEST_FILENAME = 'manifest.json';
+
+// Kinds of exported files; `content` files also have a `type` (`posts`, `pages`...)
+export const EXPORT_FILE_KINDS = [
+    'content',
+    'taxonomies',
+    'users',
+    'media',
+    'assets',
+    'block_schemas',
+    'acf_field_groups',
+    'languages',
+    'translations',
+    'deletions',
+];
+
+/**
+ * Checks a manifest against the supported version and shape, throwing on any mismatch
+ */
+export function validateExportManifest(manifest, source = EXPORT_MANIFEST_FILENAME) {
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error(`Invalid ${source}: not a JSON object`);
+    }
+
+    if (manifest.schema_version !== EXPORT_MANIFEST_VERSION) {
+        throw new Error(
+            `Unsupported ${source} schema version ${manifest.schema_version} ` +
+            `(expected ${EXPORT_MANIFEST_VERSION}): re-run the export with the current exporter`
+        );
+    }
+
+    if (!Array.isArray(manifest.languages) || !Array.isArray(manifest.files)) {
+        throw new Error(`Invalid ${source}: "languages" and "files" must be arrays`);
+    }
+
+    for (const file of manifest.files) {
+        if (!EXPORT_FILE_KINDS.includes(file.kind)) {
+            throw new Error(`Invalid ${source}: unknown file kind "${file.kind}" (${file.path})`);
+        }
+        if (typeof file.path !== 'string') {
+            throw new Error(`Invalid ${source}: ${file.kind} entry has no "path"`);
+        }
+        if (file.kind === 'content' && !file.type) {
+            throw new Error(`Invalid ${source}: content entry ${file.path} has no "type"`);
+        }
+    }
+
+    return manifest;
+}
+
+/**
+ * Finds the manifest entry of a file; `language` is null for files shared by all languages
+ */
+export function findManifestFile(manifest, kind, { language = null, type = null } = {}) {
+    return manifest.files.find(file =>
+        file.kind === kind &&
+        (file.language ?? null) === language &&
+        (type === null || file.type === type)
+    ) || null;
+}
@@ -0,0 +1,381 @@
+import * as cheerio from 'cheerio';
+import { stripHtml } from './utils.js';
+import { getEmbedProvider } from './embeds.js';
+import { ShortcodeRegistry } from './shortcodes.js';
+
+/**
+ * HTML → Markdown (CommonMark, with GFM tables and strikethrough), for `markdown`
+ * fields. Links keep their URL, images their WordPress URL (rewritten to the asset
+ * URL by the importer), embeds become links, and underline/superscript/subscript/
+ * highlight are kept as inline HTML. Elements with no equivalent are reported.
+ */
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Wrappers whose content is a sequence of blocks
+const BLOCK_CONTAINER_TAGS = new Set([
+    'html', 'body', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+    'figure', 'center', 'address', 'details', 'summary', 'dl', 'dt', 'dd', 'hgroup', 'fieldset', 'legend',
+]);
+
+const BLOCK_TAGS = new Set([
+    ...HEADING_TAGS, ...BLOCK_CONTAINER_TAGS,
+    'p', 'ul', 'ol', 'blockquote', 'pre', 'table', 'hr', 'figcaption', 'sb-item',
+]);
+
+// Wrappers whose content is inline
+const INLINE_CONTAINER_TAGS = new Set([
+    'span', 'font', 'small', 'big', 'abbr', 'acronym', 'cite', 'q', 'time', 'label', 'ins',
+    'kbd', 'samp', 'var', 'dfn', 'bdi', 'bdo', 'picture',
+]);
+
+// Inline elements without Markdown syntax, kept as inline HTML
+const INLINE_HTML_TAGS = new Set(['u', 'sup', 'sub', 'mark']);
+
+// Elements with no Markdown equivalent, dropped with their content
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'form', 'input', 'button', 'select', 'textarea',
+    'svg', 'canvas', 'object', 'embed', 'video', 'audio', 'source', 'track', 'map', 'area',
+    'head', 'link', 'meta',
+]);
+
+const defaultShortcodeRegistry = new ShortcodeRegistry();
+
+function describeElement(element) {
+    const className = (element.attribs?.class || '').split(/\s+/).find(name => name.startsWith('wp-block-'));
+    return className ? `${element.tagName}.${className}` : element.tagName;
+}
+
+function escapeText(text) {
+    return text.replace(/([\\`*_[\]<>~|])/g, '\\$1');
+}
+
+// Text starting like a heading, list item or quote would be read as one
+function escapeBlockStart(text) {
+    return text
+        .replace(/^(\d+)([.)]\s)/, '$1\\$2')
+        .replace(/^(#{1,6}\s|[-+*]\s|>|=+\s*$|-+\s*$)/, '\\$1');
+}
+
+function escapeUrl(url) {
+    return (url || '').trim().replace(/\s/g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function formatTitle(title) {
+    return title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+}
+
+// Backtick run longer than any in the code, so it can't close the code span/block
+function getFence(code, minimum) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(minimum, longest + 1));
+}
+
+// `**` around ` text ` must hug the text: spaces are moved outside the delimiters
+function wrapInline(text, delimiter, closing = delimiter) {
+    const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return core ? `${leading}${delimiter}${core}${closing}${trailing}` : text;
+}
+
+// Inline Markdown without leading/trailing spaces and line breaks
+function trimInline(text) {
+    return text.replace(/^(?:\\\n|\s)+|(?:\\\n|\s)+$/g, '');
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+class MarkdownSerializer {
+    constructor($, { items, dropped }) {
+        this.$ = $;
+        this.items = items;
+        this.dropped = dropped;
+    }
+
+    drop(element, reason) {
+        this.dropped.push({ element: describeElement(element), reason });
+    }
+
+    isBlock(node) {
+        if (node.type !== 'tag') return false;
+        if (BLOCK_TAGS.has(node.tagName)) return true;
+
+        // Unknown elements are blocks when they hold blocks
+        return !INLINE_CONTAINER_TAGS.has(node.tagName) && !INLINE_HTML_TAGS.has(node.tagName) &&
+            (node.children || []).some(child => this.isBlock(child));
+    }
+
+    /**
+     * Markdown blocks of a list of nodes; consecutive inline nodes form a paragraph
+     */
+    serializeBlocks(nodes) {
+        const blocks = [];
+        let run = [];
+
+        const flush = () => {
+            const text = trimInline(this.serializeInline(run));
+            if (text) blocks.push(escapeBlockStart(text));
+            run = [];
+        };
+
+        for (const node of nodes || []) {
+            if (!this.isBlock(node)) {
+                run.push(node);
+                continue;
+            }
+            flush();
+            const block = this.serializeBlock(node);
+            if (block) blocks.push(block);
+        }
+        flush();
+
+        return blocks;
+    }
+
+    serializeBlock(element) {
+        const tagName = element.tagName;
+
+        if (HEADING_TAGS.has(tagName)) {
+            const text = trimInline(this.serializeInline(element.children));
+            return text ? `${'#'.repeat(Number(tagName[1]))} ${text.replace(/\n/g, ' ')}` : '';
+        }
+
+        switch (tagName) {
+            case 'p':
+            case 'figcaption': {
+                const text = trimInline(this.serializeInline(element.children));
+                if (!text) return '';
+                return tagName === 'figcaption' ? wrapInline(text, '*') : escapeBlockStart(text);
+            }
+            case 'ul':
+            case 'ol':
+                return this.serializeList(element);
+            case 'blockquote':
+                return this.serializeBlocks(element.children).map(block => indent(block, '> ').replace(/^$/gm, '>')).join('\n>\n');
+            case 'pre':
+                return this.serializeCodeBlock(element);
+            case 'table':
+                return this.serializeTable(element);
+            case 'hr':
+                return '---';
+            case 'sb-item':
+                return this.serializeItem(this.items[Number(element.attribs['data-index'])], element);
+            default:
+                if (!BLOCK_CONTAINER_TAGS.has(tagName)) {
+                    this.drop(element, 'unsupported element, its content was kept');
+                }
+                return this.serializeBlocks(element.children).join('\n\n');
+        }
+    }
+
+    serializeList(element) {
+        const ordered = element.tagName === 'ol';
+        let number = Number(element.attribs?.start) || 1;
+
+        return this.$(element).children('li').get().map(item => {
+            const marker = ordered ? `${number++}. ` : '- ';
+            const content = this.serializeBlocks(item.children).join('\n') || '';
+            return marker + indent(content, ' '.repeat(marker.length)).slice(marker.length);
+        }).join('\n');
+    }
+
+    serializeCodeBlock(element) {
+        const $pre = this.$(element);
+        const classes = `${$pre.find('code').attr('class') || ''} ${$pre.attr('class') || ''}`;
+        const language = classes.match(/(?:^|\s)(?:language|lang)-([\w-]+)/)?.[1] || '';
+        const code = $pre.text().replace(/\n$/, '');
+        const fence = getFence(code, 3);
+
+        return `${fence}${language}\n${code}\n${fence}`;
+    }
+
+    // GFM table: the first row (or the `thead` one) is the header
+    serializeTable(element) {
+        const $table = this.$(element);
+        const rows = $table.find('tr').get().filter(row => this.$(row).closest('table').get(0) === element);
+        if (rows.length === 0) return '';
+
+        const cells = rows.map(row => this.$(row).children('th, td').get().map(cell =>
+            trimInline(this.serializeInline(cell.children)).replace(/\\\n/g, '<br>').replace(/\n/g, ' ') || ' '
+        ));
+        const columns = Math.max(...cells.map(row => row.length));
+        const formatRow = row => `| ${Array.from({ length: columns }, (_, i) => row[i] ?? ' ').join(' | ')} |`;
+
+        const caption = $table.children('caption').text().trim();
+
+        return [
+            formatRow(cells[0]),
+            formatRow(Array(columns).fill('---')),
+            ...cells.slice(1).map(formatRow),
+            ...(caption ? [`\n*${escapeText(caption)}*`] : []),
+        ].join('\n');
+    }
+
+    // Bloks and richtext nodes of embeds and shortcodes
+    serializeItem(item, element) {
+        if (item.url && 'provider' in item) {
+            return [`<${item.url}>`, item.caption ? `*${escapeText(item.caption)}*` : ''].filter(Boolean).join('\n\n');
+        }
+        if (Array.isArray(item.images)) {
+            return item.images.map(image => `![${escapeText(image.alt || '')}](${escapeUrl(image.filename)}${formatTitle(image.title)})`).join('\n');
+        }
+        if (item.type === 'image') {
+            return `![${escapeText(item.attrs?.alt || '')}](${escapeUrl(item.attrs?.src)})`;
+        }
+        if (item.type === 'horizontal_rule') {
+            return '---';
+        }
+
+        this.dropped.push({
+            element: item.component ? `blok ${item.component}` : describeElement(element),
+            reason: 'no markdown equivalent',
+        });
+        return '';
+    }
+
+    serializeInline(nodes) {
+        let markdown = '';
+
+        for (const node of nodes || []) {
+            let part = '';
+            if (node.type === 'text') {
+                part = escapeText(node.data.replace(/\s+/g, ' '));
+            } else if (node.type === 'tag') {
+                part = this.serializeInlineElement(node);
+            }
+
+            // Collapsed whitespace, also across the spaces moved outside delimiters
+            markdown += /\s$/.test(markdown) ? part.replace(/^ +/, '') : part;
+        }
+
+        return markdown;
+    }
+
+    serializeInlineElement(element) {
+        const tagName = element.tagName;
+        const content = () => this.serializeInline(element.children);
+
+        switch (tagName) {
+            case 'strong':
+            case 'b':
+                return wrapInline(content(), '**');
+            case 'em':
+            case 'i':
+                return wrapInline(content(), '*');
+            case 'del':
+            case 's':
+            case 'strike':
+                return wrapInline(content(), '~~');
+            case 'code': {
+                const code = this.$(element).text();
+                if (!code) return '';
+                const fence = getFence(code, 1);
+                const padding = /^`|`$/.test(code) ? ' ' : '';
+                return `${fence}${padding}${code}${padding}${fence}`;
+            }
+            case 'a': {
+                const href = element.attribs.href;
+                const text = content().trim() || escapeText(href || '');
+                return href ? `[${text}](${escapeUrl(href)}${formatTitle(element.attribs.title)})` : text;
+            }
+            case 'img':
+                return element.attribs.src
+                    ? `![${escapeText(element.attribs.alt || '')}](${escapeUrl(element.attribs.src)}${formatTitle(element.attribs.title)})`
+                    : '';
+            case 'br':
+                return '\\\n';
+            case 'sb-item':
+                return this.serializeItem(this.items[Number(element.attribs['data-index'])], element);
+            default:
+                if (INLINE_HTML_TAGS.has(tagName)) {
+                    return wrapInline(content(), `<${tagName}>`, `</${tagName}>`);
+                }
+                if (!INLINE_CONTAINER_TAGS.has(tagName)) {
+                    this.drop(element, 'unsupported element, its content was kept');
+                }
+                return content();
+        }
+    }
+}
+
+/**
+ * Normalizes WordPress HTML before serializing it: comments and elements without
+ * an equivalent are removed, and embeds are replaced with `<sb-item>` placeholders
+ */
+function prepareWordPressHtml(html, { dropped, items }) {
+    const $ = cheerio.load(html);
+
+    $('*').contents().filter((_, node) => node.type === 'comment').remove();
+
+    // Embeds become links to their URL, whatever the provider
+    $('figure.wp-block-embed, iframe, blockquote.twitter-tweet').each((_, element) => {
+        const $el = $(element);
+        if (!$el.parent().length || $el.parents('figure.wp-block-embed').length) return;
+
+        const url = $el.is('iframe')
+            ? $el.attr('src')
+            : ($el.find('.wp-block-embed__wrapper').first().text().trim() ||
+                $el.find('iframe').attr('src') ||
+                $el.find('a[href*="/status/"]').last().attr('href') || '');
+        if (!url) {
+            dropped.push({ element: describeElement(element), reason: 'embed without URL' });
+            $el.remove();
+            return;
+        }
+
+        items.push({ url, provider: getEmbedProvider(url), caption: $el.find('figcaption').text().trim() });
+        $el.replaceWith(`<sb-item data-index="${items.length - 1}"></sb-item>`);
+    });
+
+    $('*').each((_, element) => {
+        const tagName = element.tagName?.toLowerCase();
+        if (DROPPED_TAGS.has(tagName) && $(element).parent().length) {
+            if (!['head', 'link', 'meta'].includes(tagName)) {
+                dropped.push({ element: describeElement(element), reason: 'no markdown equivalent' });
+            }
+            $(element).remove();
+        }
+    });
+
+    // Quote citations follow the quote
+    $('blockquote cite').each((_, element) => {
+        $(element).replaceWith(`<p>— ${$(element).text().trim()}</p>`);
+    });
+
+    return $;
+}
+
+/**
+ * Converts HTML to Markdown, and lists the elements that were dropped
+ * (`{ element, reason }`). Shortcodes are transformed by the `shortcodes`
+ * registry, like for richtext; bloks without a Markdown form are reported.
+ */
+export function convertHtmlToMarkdownWithReport(html, { shortcodes, context = {} } = {}) {
+    const dropped = [];
+
+    if (!html?.trim()) {
+        return { markdown: '', dropped };
+    }
+
+    try {
+        const items = [];
+        const registry = shortcodes || defaultShortcodeRegistry;
+        const renderedHtml = registry.render(html, { context, items, issues: dropped });
+        const $ = prepareWordPressHtml(renderedHtml, { dropped, items });
+        const serializer = new MarkdownSerializer($, { items, dropped });
+
+        return { markdown: serializer.serializeBlocks($('body').get(0).children).join('\n\n'), dropped };
+    } catch (error) {
+        // Fallback to simple text content if conversion fails
+        dropped.push({ element: 'document', reason: `conversion failed, kept as plain text: ${error.message}` });
+        return { markdown: escapeText(stripHtml(html)), dropped };
+    }
+}
+
+/**
+ * Converts HTML content to Markdown
+ */
+export function convertHtmlToMarkdown(html, options = {}) {
+    return convertHtmlToMarkdownWithReport(html, options).markdown;
+}
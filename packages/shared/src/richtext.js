@@ -0,0 +1,316 @@
+import { randomUUID } from 'crypto';
+import * as cheerio from 'cheerio';
+import { defaultOptions, htmlToStoryblokRichtext } from '@storyblok/richtext/html-parser';
+import { stripHtml } from './utils.js';
+import { getEmbedProvider } from './embeds.js';
+import { ShortcodeRegistry } from './shortcodes.js';
+
+/**
+ * HTML → Storyblok richtext. WordPress markup is normalized with cheerio first
+ * (the Storyblok parser throws on any tag it has no resolver for): layout wrappers
+ * are unwrapped, Gutenberg tables, quotes and code blocks are reshaped, embeds and
+ * shortcodes become `blok` nodes, and elements with no richtext equivalent are dropped
+ * and reported.
+ */
+
+// Tags the Storyblok HTML parser converts
+const RICHTEXT_TAGS = new Set([
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ol', 'ul', 'li', 'table', 'thead', 'tbody', 'tfoot',
+    'tr', 'th', 'td', 'blockquote', 'pre', 'span', 'strong', 'b', 'em', 'i', 'a', 'del', 's',
+    'code', 'img', 'hr', 'br', 'u', 'sup', 'sub', 'mark',
+]);
+
+// Layout and semantic wrappers: their content is kept without them
+const CONTAINER_TAGS = new Set([
+    'html', 'body', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+    'figure', 'picture', 'center', 'font', 'small', 'big', 'abbr', 'acronym', 'cite', 'q',
+    'time', 'label', 'ins', 'kbd', 'samp', 'var', 'dfn', 'bdi', 'bdo', 'address',
+    'details', 'summary', 'dl', 'dt', 'dd', 'hgroup', 'fieldset', 'legend',
+]);
+
+// Elements with no richtext equivalent, dropped with their content
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'form', 'input', 'button', 'select', 'textarea',
+    'svg', 'canvas', 'object', 'embed', 'video', 'audio', 'source', 'track', 'map', 'area',
+    'iframe', 'head', 'link', 'meta',
+]);
+
+// Block-level elements; anything else at the top level is wrapped in a paragraph
+const BLOCK_TAGS = new Set([
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ol', 'ul', 'table', 'blockquote', 'pre', 'hr', 'img',
+    'sb-item',
+]);
+
+// Attributes the parser understands; any other one is removed (it would only log warnings)
+const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'target', 'id'],
+    img: ['src', 'alt', 'title'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+    code: ['class'],
+    'sb-item': ['data-index'],
+};
+
+const defaultShortcodeRegistry = new ShortcodeRegistry();
+
+// Richtext nodes that can be inside paragraphs
+const INLINE_NODE_TYPES = ['text', 'image', 'hard_break', 'emoji'];
+
+// Inline elements the parser has no resolver for, mapped to their richtext mark
+const MARK_RESOLVERS = Object.fromEntries(
+    [['u', 'underline'], ['sup', 'superscript'], ['sub', 'subscript'], ['mark', 'highlight']]
+        .map(([tag, type]) => [tag, (_, content = []) => content.map(child =>
+            child.type === 'text' ? { ...child, marks: [...(child.marks || []), { type }] } : child
+        )])
+);
+
+function describeElement(element) {
+    const className = (element.attribs?.class || '').split(/\s+/).find(name => name.startsWith('wp-block-'));
+    return className ? `${element.tagName}.${className}` : element.tagName;
+}
+
+/**
+ * Embed blok of a Gutenberg embed figure, a bare iframe or a Twitter blockquote
+ */
+function createEmbed($, $el, embedComponent) {
+    const url = $el.is('iframe')
+        ? $el.attr('src')
+        : ($el.find('.wp-block-embed__wrapper').first().text().trim() ||
+            $el.find('iframe').attr('src') ||
+            $el.find('a[href*="/status/"]').last().attr('href') || '');
+    const provider = getEmbedProvider(url);
+
+    if (!provider) return { url };
+
+    return {
+        url,
+        blok: {
+            _uid: randomUUID(),
+            component: embedComponent,
+            url,
+            provider,
+            caption: $el.find('figcaption').text().trim(),
+        },
+    };
+}
+
+/**
+ * Normalizes WordPress HTML into markup the Storyblok parser fully converts.
+ * Embeds and shortcodes are replaced with `<sb-item>` placeholders of `items`,
+ * resolved to `blok` (or the shortcodes' richtext) nodes.
+ */
+function prepareWordPressHtml(html, { embedComponent, dropped, items }) {
+    const $ = cheerio.load(html);
+
+    // Comments (e.g. Gutenberg block delimiters) carry no content
+    $('*').contents().filter((_, node) => node.type === 'comment').remove();
+
+    // Embeds: Gutenberg embed blocks, iframes and Twitter blockquotes
+    $('figure.wp-block-embed, iframe, blockquote.twitter-tweet').each((_, element) => {
+        const $el = $(element);
+        if (!$el.parent().length || $el.parents('figure.wp-block-embed').length) return;
+
+        const { url, blok } = createEmbed($, $el, embedComponent);
+        if (!blok) {
+            dropped.push({ element: describeElement(element), reason: `unsupported embed${url ? ` (${url})` : ''}` });
+            $el.remove();
+            return;
+        }
+
+        items.push(blok);
+        $el.replaceWith(`<sb-item data-index="${items.length - 1}"></sb-item>`);
+    });
+
+    // Bloks and block nodes can't be inside paragraphs (`<p>[gallery]</p>`): they're moved after them
+    $($('p > sb-item').get().reverse()).each((_, element) => {
+        if (!INLINE_NODE_TYPES.includes(items[Number(element.attribs['data-index'])].type)) {
+            $(element).parent().after(element);
+        }
+    });
+
+    $('*').each((_, element) => {
+        const tagName = element.tagName?.toLowerCase();
+        if (DROPPED_TAGS.has(tagName) && $(element).parent().length) {
+            if (!['head', 'link', 'meta'].includes(tagName)) {
+                dropped.push({ element: describeElement(element), reason: 'no richtext equivalent' });
+            }
+            $(element).remove();
+        }
+    });
+
+    // Code blocks hold a single text node, with the language of highlighters' classes
+    $('pre').each((_, element) => {
+        const $pre = $(element);
+        const classes = `${$pre.find('code').attr('class') || ''} ${$pre.attr('class') || ''}`;
+        const language = classes.match(/(?:^|\s)(?:language|lang)-([\w-]+)/)?.[1];
+        const $code = $('<code></code>').text($pre.text());
+        if (language) $code.attr('class', `language-${language}`);
+        $pre.empty().append($code);
+    });
+
+    // Quote citations and figure captions become paragraphs
+    $('blockquote cite').each((_, element) => {
+        $(element).replaceWith(`<p>— ${$(element).text().trim()}</p>`);
+    });
+    $('table caption').each((_, element) => {
+        const $caption = $(element);
+        $caption.closest('table').after(`<p><em>${$caption.text().trim()}</em></p>`);
+        $caption.remove();
+    });
+    $('figcaption').each((_, element) => {
+        $(element).replaceWith(`<p><em>${$(element).text()}</em></p>`);
+    });
+
+    // Unwrap layout wrappers (innermost first) and unknown elements, keeping their content
+    $($('body *').get().reverse()).each((_, element) => {
+        const tagName = element.tagName?.toLowerCase();
+        if (RICHTEXT_TAGS.has(tagName) || tagName === 'sb-item') return;
+
+        if (!CONTAINER_TAGS.has(tagName)) {
+            dropped.push({ element: describeElement(element), reason: 'unsupported element, its content was kept' });
+        }
+        $(element).replaceWith($(element).contents());
+    });
+
+    $('body *').each((_, element) => {
+        const allowed = ALLOWED_ATTRIBUTES[element.tagName] || [];
+        for (const attribute of Object.keys(element.attribs || {})) {
+            if (!allowed.includes(attribute)) $(element).removeAttr(attribute);
+        }
+        if (element.tagName === 'code' && !/^language-/.test(element.attribs.class || '')) {
+            $(element).removeAttr('class');
+        }
+    });
+
+    // Links can only wrap text: marks and blocks inside a link are kept around it instead
+    // (`<a><strong><em>x</em></strong></a>` → `<strong><em><a>x</a></em></strong>`)
+    $('a').each((_, anchor) => {
+        const $anchor = $(anchor);
+        if ($anchor.children().length === 0) return;
+
+        $anchor.find('img, hr, sb-item').each((_, element) => {
+            dropped.push({ element: describeElement(element), reason: `link removed (${anchor.attribs.href || 'no href'}), only text can be linked` });
+        });
+        $anchor.find('*').addBack().contents()
+            .filter((_, node) => node.type === 'text' && node.data.trim())
+            .each((_, node) => {
+                $(node).wrap($('<a></a>').attr(anchor.attribs));
+            });
+        $anchor.replaceWith($anchor.contents());
+    });
+
+    // Empty paragraphs
+    $('p').each((_, element) => {
+        const $el = $(element);
+        if (!$el.text().trim() && $el.children().length === 0) $el.remove();
+    });
+
+    // Text and inline elements at the top level go into paragraphs, blank text is removed
+    const $body = $('body');
+    const runs = [];
+    let run = null;
+    $body.contents().each((_, node) => {
+        if (node.type === 'tag' && BLOCK_TAGS.has(node.tagName)) {
+            run = null;
+            return;
+        }
+        if (!run) runs.push(run = []);
+        run.push(node);
+    });
+    for (const nodes of runs) {
+        if (nodes.every(node => node.type !== 'tag' && !node.data?.trim())) {
+            $(nodes).remove();
+        } else {
+            $(nodes).wrapAll('<p></p>');
+        }
+    }
+
+    return $body.html();
+}
+
+/**
+ * Link marks get the Storyblok multilink attributes; empty text nodes are removed
+ */
+function normalizeRichtextNodes(nodes) {
+    return nodes
+        .filter(node => node.type !== 'text' || node.text)
+        .map(node => {
+            const normalized = { ...node };
+
+            if (node.marks) {
+                normalized.marks = node.marks.map(mark => {
+                    if (mark.type !== 'link') {
+                        return mark.attrs ? { type: mark.type, attrs: mark.attrs } : { type: mark.type };
+                    }
+                    const href = mark.attrs?.href || '';
+                    return {
+                        type: 'link',
+                        attrs: {
+                            href,
+                            target: mark.attrs?.target || '_self',
+                            linktype: href.startsWith('mailto:') ? 'email' : 'url',
+                            ...(mark.attrs?.anchor ? { anchor: mark.attrs.anchor } : {}),
+                        },
+                    };
+                });
+            }
+
+            if (Array.isArray(node.content)) {
+                normalized.content = normalizeRichtextNodes(node.content);
+            }
+
+            return normalized;
+        });
+}
+
+/**
+ * Converts HTML to Storyblok richtext, and lists the elements that were dropped
+ * (`{ element, reason }`). Supported embeds (YouTube, Vimeo, Twitter) become
+ * `blok` nodes of `embedComponent` (`url`, `provider`, `caption`). Shortcodes are
+ * transformed by the `shortcodes` registry, with `context` (e.g. `media`) passed
+ * to its transformers; the ones flagged for manual review are reported.
+ */
+export function convertHtmlToRichTextWithReport(html, { embedComponent = 'embed', shortcodes, context = {} } = {}) {
+    const dropped = [];
+
+    if (!html?.trim()) {
+        return { doc: { type: 'doc', content: [] }, dropped };
+    }
+
+    try {
+        const items = [];
+        const registry = shortcodes || defaultShortcodeRegistry;
+        const renderedHtml = registry.render(html, { context: { embedComponent, ...context }, items, issues: dropped });
+        const preparedHtml = prepareWordPressHtml(renderedHtml, { embedComponent, dropped, items });
+
+        const doc = htmlToStoryblokRichtext(preparedHtml, {
+            resolvers: {
+                ...MARK_RESOLVERS,
+                tfoot: (_, content) => content || null,
+                th: (node, content, options) => ({ ...defaultOptions.resolvers.td(node, content, options), type: 'tableHeader' }),
+                'sb-item': node => {
+                    const item = items[Number(node.attrs['data-index'])];
+                    return item.component ? { type: 'blok', attrs: { id: randomUUID(), body: [item] } } : item;
+                },
+            },
+        });
+
+        return { doc: { type: 'doc', content: normalizeRichtextNodes(doc.content) }, dropped };
+    } catch (error) {
+        // Fallback to simple text content if conversion fails
+        dropped.push({ element: 'document', reason: `conversion failed, kept as plain text: ${error.message}` });
+        const text = stripHtml(html);
+
+        return {
+            doc: { type: 'doc', content: text ? [{ type: 'paragraph', content: [{ type: 'text', text }] }] : [] },
+            dropped,
+        };
+    }
+}
+
+/**
+ * Converts HTML content to Storyblok rich text format using official converter
+ */
+export function convertHtmlToRichText(html, options = {}) {
+    return convertHtmlToRichTextWithReport(html, options).doc;
+}
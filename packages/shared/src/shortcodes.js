@@ -0,0 +1,222 @@
+import { randomUUID } from 'crypto';
+import * as cheerio from 'cheerio';
+import { getEmbedProvider } from './embeds.js';
+
+/**
+ * WordPress shortcodes (`[gallery ids="1,2"]`, `[caption]...[/caption]`) are parsed
+ * like `do_shortcode` does: self-closing or enclosing, with quoted, unquoted or
+ * positional attributes, nested shortcodes inside enclosing ones, and `[[escaped]]`
+ * ones kept as text. Each one is transformed by its registered transformer.
+ */
+
+// [ [? /? name attributes /? ] ]?
+const SHORTCODE_PATTERN = /\[(\[?)(\/?)([a-zA-Z][\w-]*)((?:[^\[\]"'\/]|\/(?!\])|"[^"]*"|'[^']*')*)(\/?)\](\]?)/g;
+
+// Same as WordPress `shortcode_parse_atts`
+const ATTRIBUTE_PATTERN = /([\w-]+)\s*=\s*"([^"]*)"(?:\s|$)|([\w-]+)\s*=\s*'([^']*)'(?:\s|$)|([\w-]+)\s*=\s*([^\s'"]+)(?:\s|$)|"([^"]*)"(?:\s|$)|'([^']*)'(?:\s|$)|(\S+)(?:\s|$)/g;
+
+/**
+ * Parses shortcode attributes; named ones are lowercased, positional ones are
+ * keyed by index (`[video "a.mp4"]` → `{ 0: 'a.mp4' }`)
+ */
+export function parseShortcodeAttributes(text) {
+    const attrs = {};
+    let position = 0;
+
+    for (const match of (text || '').replace(/[\u00a0\u200b]/g, ' ').matchAll(ATTRIBUTE_PATTERN)) {
+        const [, name1, value1, name2, value2, name3, value3, positional1, positional2, positional3] = match;
+
+        if (name1 !== undefined) attrs[name1.toLowerCase()] = value1;
+        else if (name2 !== undefined) attrs[name2.toLowerCase()] = value2;
+        else if (name3 !== undefined) attrs[name3.toLowerCase()] = value3;
+        else attrs[position++] = positional1 ?? positional2 ?? positional3;
+    }
+
+    return attrs;
+}
+
+/**
+ * Splits a text into `{ type: 'text', text }` and `{ type: 'shortcode', name, attrs,
+ * content, children, raw }` nodes. `content` is null for self-closing shortcodes;
+ * `children` are the parsed nodes of the content.
+ */
+export function parseShortcodes(text) {
+    const nodes = [];
+    const pattern = new RegExp(SHORTCODE_PATTERN.source, 'g');
+    let index = 0;
+    let match;
+
+    const pushText = value => {
+        if (!value) return;
+        const last = nodes[nodes.length - 1];
+        if (last?.type === 'text') last.text += value;
+        else nodes.push({ type: 'text', text: value });
+    };
+
+    while ((match = pattern.exec(text || ''))) {
+        const [raw, escapeOpen, closing, name, attrText, selfClosing, escapeClose] = match;
+        pushText(text.slice(index, match.index));
+
+        // `[[name]]` is an escaped shortcode, printed without the outer brackets
+        if (escapeOpen && escapeClose) {
+            pushText(raw.slice(1, -1));
+            index = pattern.lastIndex;
+            continue;
+        }
+        if (escapeOpen) {
+            pushText('[');
+            index = pattern.lastIndex = match.index + 1;
+            continue;
+        }
+
+        let end = escapeClose ? pattern.lastIndex - 1 : pattern.lastIndex;
+
+        // A closing tag without its opening tag is plain text
+        if (closing) {
+            pushText(text.slice(match.index, end));
+            index = pattern.lastIndex = end;
+            continue;
+        }
+
+        // Enclosing when its closing tag follows, self-closing otherwise
+        let content = null;
+        if (!selfClosing) {
+            const closingTag = `[/${name}]`;
+            const closingIndex = text.indexOf(closingTag, end);
+            if (closingIndex !== -1) {
+                content = text.slice(end, closingIndex);
+                end = closingIndex + closingTag.length;
+            }
+        }
+
+        nodes.push({
+            type: 'shortcode',
+            name,
+            attrs: parseShortcodeAttributes(attrText),
+            content,
+            children: content === null ? [] : parseShortcodes(content),
+            raw: text.slice(match.index, end),
+        });
+        index = pattern.lastIndex = end;
+    }
+
+    pushText((text || '').slice(index));
+
+    return nodes;
+}
+
+// Transformer result for shortcodes that can't be migrated automatically
+function manualReview(reason) {
+    return { manualReview: reason };
+}
+
+function formShortcode(shortcode, { manualReview }) {
+    return manualReview('forms have no Storyblok equivalent, rebuild it with a form component or an embed');
+}
+
+/**
+ * Default transformers for core and common plugin shortcodes.
+ *
+ * A transformer receives `(shortcode, helpers)` and returns a blok (an object with
+ * a `component`, embedded as a richtext `blok` node), a richtext node (an object with
+ * a `type`), an HTML string, `helpers.manualReview(reason)` to keep the shortcode
+ * as text and report it, or `null` to drop it.
+ */
+export const defaultShortcodeTransformers = {
+    gallery: (shortcode, { context, manualReview }) => {
+        const ids = String(shortcode.attrs.ids || shortcode.attrs.include || '')
+            .split(',')
+            .map(id => Number(id.trim()))
+            .filter(Boolean);
+        if (ids.length === 0) {
+            return manualReview('gallery without `ids` (attached images are not exported)');
+        }
+
+        const images = ids
+            .map(id => context.media?.find(media => media.id === id))
+            .filter(Boolean)
+            .map(media => ({
+                filename: media.source_url,
+                alt: media.alt_text || media.title?.rendered || '',
+                title: media.title?.rendered || '',
+            }));
+        if (images.length < ids.length) {
+            return manualReview(`gallery images not found in media: ${ids.length - images.length} of ${ids.length}`);
+        }
+
+        return { component: 'gallery', images, columns: Number(shortcode.attrs.columns) || 3 };
+    },
+
+    // Image (optionally linked) followed by the caption text
+    caption: (shortcode, { render }) => {
+        const $ = cheerio.load(render(shortcode.content || ''), null, false);
+        const $image = $('a:has(img)').first().length ? $('a:has(img)').first() : $('img').first();
+        const image = $.html($image);
+        $image.remove();
+        const caption = shortcode.attrs.caption || $.text().trim();
+
+        return `<p>${image}</p>${caption ? `<p><em>${caption}</em></p>` : ''}`;
+    },
+
+    embed: (shortcode, { context, manualReview }) => {
+        const url = (shortcode.content || shortcode.attrs.src || '').trim();
+        const provider = getEmbedProvider(url);
+
+        return provider
+            ? { component: context.embedComponent || 'embed', url, provider, caption: '' }
+            : manualReview(`unsupported embed${url ? ` (${url})` : ''}`);
+    },
+
+    'contact-form-7': formShortcode,
+    wpforms: formShortcode,
+    gravityform: formShortcode,
+    'ninja_form': formShortcode,
+};
+
+/**
+ * Registry of shortcode transformers. Shortcodes without a transformer are kept
+ * as text and flagged for manual review.
+ */
+export class ShortcodeRegistry {
+    constructor(transformers = {}) {
+        this.transformers = new Map(Object.entries({ ...defaultShortcodeTransformers, ...transformers }));
+    }
+
+    register(name, transformer) {
+        this.transformers.set(name, transformer);
+        return this;
+    }
+
+    has(name) {
+        return this.transformers.has(name);
+    }
+
+    /**
+     * Replaces the shortcodes of an HTML string. Bloks and richtext nodes are
+     * collected in `items` and replaced with `<sb-item data-index>` placeholders;
+     * shortcodes flagged for review are added to `issues`.
+     */
+    render(html, { context = {}, items = [], issues = [] } = {}) {
+        const render = content => this.render(content, { context, items, issues });
+
+        return parseShortcodes(html).map(node => {
+            if (node.type === 'text') return node.text;
+
+            const transformer = this.transformers.get(node.name);
+            const result = transformer
+                ? transformer(node, { context, registry: this, render, manualReview })
+                : manualReview('no shortcode transformer registered');
+
+            if (result === null || result === undefined) return '';
+            if (typeof result === 'string') return result;
+
+            if (result.manualReview) {
+                issues.push({ element: `[${node.name}]`, reason: `manual review: ${result.manualReview}` });
+                return node.raw;
+            }
+
+            items.push(result.component ? { _uid: randomUUID(), ...result } : result);
+            return `<sb-item data-index="${items.length - 1}"></sb-item>`;
+        }).join('');
+    }
+}
@@ -1,7 +1,7 @@
 import * as cheerio from 'cheerio';
-import { htmlToStoryblokRichtext } from '@storyblok/richtext/html-parser';
 import fs from 'fs';
 import path from 'path';
+import { convertHtmlToRichText } from './richtext.js';
 
 /**
  * Find workspace root by looking for workspace indicator files
@@ -26,71 +26,6 @@ export function findWorkspaceRoot(startDir = process.cwd()) {
     return process.cwd(); // fallback
 }
 
-/**
- * Converts HTML content to Storyblok rich text format using official converter
- */
-export function convertHtmlToRichText(html) {
-    if (!html?.trim()) {
-        return { type: 'doc', content: [] };
-    }
-
-    try {
-        // Preprocess WordPress HTML for better conversion
-        const cleanedHtml = preprocessWordPressHtml(html);
-
-        // Use the official Storyblok HTML to richtext converter
-        return htmlToStoryblokRichtext(cleanedHtml);
-    } catch (error) {
-        console.warn('Failed to convert HTML to richtext, falling back to plain text:', error.message);
-        // Fallback to simple text content if conversion fails
-        return {
-            type: 'doc',
-            content: [{
-                type: 'paragraph',
-                content: [{
-                    type: 'text',
-                    text: stripHtml(html)
-                }]
-            }]
-        };
-    }
-}
-
-/**
- * Preprocesses WordPress HTML to clean up common issues before conversion
- */
-function preprocessWordPressHtml(html) {
-    if (!html) return '';
-
-    const $ = cheerio.load(html);
-
-    // Remove WordPress-specific classes and attributes that might interfere
-    $('*').each((_, element) => {
-        const $el = $(element);
-
-        // Remove common WordPress classes
-        $el.removeClass('wp-image wp-caption wp-caption-text alignleft alignright aligncenter');
-
-        // Clean up empty paragraphs
-        if ($el.is('p') && !$el.text().trim() && $el.children().length === 0) {
-            $el.remove();
-        }
-
-        // Convert WordPress gallery shortcodes to simple text (they'll need manual handling)
-        if ($el.text().includes('[gallery')) {
-            $el.replaceWith(`<p>Gallery: ${$el.text()}</p>`);
-        }
-
-        // Clean up WordPress figure captions
-        if ($el.is('figcaption')) {
-            $el.replaceWith(`<p><em>${$el.text()}</em></p>`);
-        }
-    });
-
-    // Return the cleaned HTML
-    return $.html();
-}
-
 /**
  * Strips HTML tags and returns plain text
  */
@@ -151,6 +86,14 @@ export function processFeaturedImage(media) {
     };
 }
 
+/**
+ * Largest Gravatar of a WordPress user (`avatar_urls` has 24, 48 and 96px sizes by default)
+ */
+export function getAvatarUrl(user) {
+    const sizes = Object.keys(user.avatar_urls || {}).sort((a, b) => Number(b) - Number(a));
+    return sizes.length > 0 ? user.avatar_urls[sizes[0]] : null;
+}
+
 /**
  * Creates a slug from a string
  */
@@ -1,4 +1,5 @@
 import { exportWordPressContent } from '@migration/export';
+import { mapWordPressContent } from '@migration/mapping';
 
 export default function createPlugin(context) {
   const { logger } = context;
@@ -21,6 +22,19 @@ export default function createPlugin(context) {
           logger.error('❌ Export failed:', error.message);
           throw error;
         }
+      },
+      mapping: async (options) => {
+        logger.info('🔄 Starting WordPress to Storyblok mapping...');
+
+        try {
+          await mapWordPressContent({
+            config: options.config
+          });
+          logger.info('✅ Mapping completed successfully!');
+        } catch (error) {
+          logger.error('❌ Mapping failed:', error.message);
+          throw error;
+        }
       }
     }
   };
@@ -10,6 +10,10 @@
  * Usage:
  * - wp-json/wp/v2/block-schemas - Get all registered block schemas
  * - wp-json/wp/v2/parse-blocks?content=... - Parse blocks from content
+ * - wp-json/wp/v2/<rest_base>-with-blocks - Content of any REST-visible post type
+ *   with block data (posts-with-blocks, pages-with-blocks, events-with-blocks...)
+ *   Advanced Custom Fields values and SEO metadata (Yoast SEO, Rank Math)
+ * - wp-json/wp/v2/acf-field-groups - Advanced Custom Fields field group definitions
  * 
  * This approach uses WordPress core functions (no plugins needed) and provides
  * a clean API for external tools to consume block data.
@@ -54,31 +58,18 @@ class WP_Block_Exporter
             )
         ));
 
-        // Endpoint to get enhanced posts with block data
-        register_rest_route('wp/v2', '/posts-with-blocks', array(
+        // Endpoint to get the Advanced Custom Fields field groups
+        register_rest_route('wp/v2', '/acf-field-groups', array(
             'methods' => 'GET',
-            'callback' => array($this, 'get_posts_with_blocks'),
-            'permission_callback' => '__return_true',
-            'args' => array(
-                'per_page' => array(
-                    'default' => 10,
-                    'type' => 'integer'
-                ),
-                'page' => array(
-                    'default' => 1,
-                    'type' => 'integer'
-                ),
-                'lang' => array(
-                    'default' => '',
-                    'type' => 'string'
-                )
-            )
+            'callback' => array($this, 'get_acf_field_groups'),
+            'permission_callback' => '__return_true'
         ));
 
-        // Endpoint to get enhanced pages with block data
-        register_rest_route('wp/v2', '/pages-with-blocks', array(
+        // Endpoint to get enhanced content of any post type with block data,
+        // addressed by the post type's REST base (`posts`, `pages`, `events`...)
+        register_rest_route('wp/v2', '/(?P<rest_base>[a-z0-9_-]+)-with-blocks', array(
             'methods' => 'GET',
-            'callback' => array($this, 'get_pages_with_blocks'),
+            'callback' => array($this, 'get_content_with_blocks'),
             'permission_callback' => '__return_true',
             'args' => array(
                 'per_page' => array(
@@ -92,6 +83,11 @@ class WP_Block_Exporter
                 'lang' => array(
                     'default' => '',
                     'type' => 'string'
+                ),
+                'modified_after' => array(
+                    'default' => '',
+                    'type' => 'string',
+                    'description' => 'Only return content modified after this ISO 8601 date'
                 )
             )
         ));
@@ -153,48 +149,168 @@ class WP_Block_Exporter
     }
 
     /**
-     * Get posts with enhanced block data
+     * Get the Advanced Custom Fields field groups with their (nested) field definitions
      */
-    public function get_posts_with_blocks($request)
+    public function get_acf_field_groups($request)
     {
-        $per_page = $request->get_param('per_page');
-        $page = $request->get_param('page');
-        $lang = $request->get_param('lang');
-        $status = $request->get_param('status');
+        if (!function_exists('acf_get_field_groups')) {
+            return new WP_Error('acf_not_active', 'Advanced Custom Fields is not active', array('status' => 404));
+        }
 
-        // Default to publish if no status specified
-        if (empty($status)) {
-            $status = 'publish';
+        $field_groups = array();
+
+        foreach (acf_get_field_groups() as $field_group) {
+            $field_groups[] = array(
+                'key' => $field_group['key'],
+                'title' => $field_group['title'],
+                'location' => $field_group['location'],
+                'active' => (bool) $field_group['active'],
+                'fields' => array_map(array($this, 'clean_acf_field'), acf_get_fields($field_group['key']) ?: array()),
+            );
         }
 
-        // Convert comma-separated statuses to array
-        $post_statuses = array_map('trim', explode(',', $status));
+        return rest_ensure_response(array(
+            'timestamp' => current_time('c'),
+            'total_field_groups' => count($field_groups),
+            'field_groups' => $field_groups
+        ));
+    }
 
-        $args = array(
-            'post_type' => 'post',
-            'post_status' => $post_statuses,
-            'posts_per_page' => $per_page,
-            'paged' => $page,
-            'orderby' => 'date',
-            'order' => 'DESC'
+    /**
+     * Keep the parts of an ACF field definition that describe content
+     */
+    private function clean_acf_field($field)
+    {
+        $clean_field = array(
+            'key' => $field['key'],
+            'name' => $field['name'],
+            'label' => $field['label'],
+            'type' => $field['type'],
+            'instructions' => $field['instructions'] ?? '',
+            'required' => !empty($field['required']),
+            'default_value' => $field['default_value'] ?? null,
+            'choices' => $field['choices'] ?? null,
+            'multiple' => !empty($field['multiple']),
+            'return_format' => $field['return_format'] ?? null,
+            'post_type' => $field['post_type'] ?? null,
+            'min' => $field['min'] ?? null,
+            'max' => $field['max'] ?? null,
         );
 
-        $posts = get_posts($args);
-        $enhanced_posts = array();
+        // Repeater and group fields
+        if (!empty($field['sub_fields'])) {
+            $clean_field['sub_fields'] = array_map(array($this, 'clean_acf_field'), $field['sub_fields']);
+        }
 
-        foreach ($posts as $post) {
-            $post_data = $this->prepare_post_for_response($post);
-            $enhanced_posts[] = $post_data;
+        // Flexible content layouts
+        if (!empty($field['layouts'])) {
+            $clean_field['layouts'] = array_values(array_map(function ($layout) {
+                return array(
+                    'key' => $layout['key'],
+                    'name' => $layout['name'],
+                    'label' => $layout['label'],
+                    'sub_fields' => array_map(array($this, 'clean_acf_field'), $layout['sub_fields'] ?? array()),
+                );
+            }, $field['layouts']));
+        }
+
+        return $clean_field;
+    }
+
+    /**
+     * ACF values of a post by field name, unformatted: media, posts and terms are IDs,
+     * repeater and flexible content rows are keyed by sub field name
+     */
+    private function get_acf_values($post_id)
+    {
+        if (!function_exists('get_field_objects')) {
+            return new stdClass();
+        }
+
+        $values = array();
+        foreach (get_field_objects($post_id, false) ?: array() as $name => $field) {
+            $values[$name] = $this->clean_acf_value($field, $field['value']);
+        }
+
+        return (object) $values;
+    }
+
+    private function clean_acf_value($field, $value)
+    {
+        switch ($field['type']) {
+            case 'repeater':
+                return array_map(function ($row) use ($field) {
+                    return $this->clean_acf_row($field['sub_fields'] ?? array(), $row);
+                }, is_array($value) ? array_values($value) : array());
+
+            case 'group':
+                return $this->clean_acf_row($field['sub_fields'] ?? array(), is_array($value) ? $value : array());
+
+            case 'flexible_content':
+                $rows = array();
+                foreach (is_array($value) ? $value : array() as $row) {
+                    foreach ($field['layouts'] ?? array() as $layout) {
+                        if ($layout['name'] === ($row['acf_fc_layout'] ?? null)) {
+                            $rows[] = array('acf_fc_layout' => $layout['name']) + $this->clean_acf_row($layout['sub_fields'] ?? array(), $row);
+                        }
+                    }
+                }
+                return $rows;
+
+            case 'image':
+            case 'file':
+            case 'gallery':
+            case 'relationship':
+            case 'post_object':
+            case 'taxonomy':
+            case 'user':
+                if (is_array($value)) {
+                    return array_map('intval', array_values($value));
+                }
+                return $value ? intval($value) : null;
+
+            default:
+                return $value;
+        }
+    }
+
+    // Unformatted rows are keyed by sub field key
+    private function clean_acf_row($sub_fields, $row)
+    {
+        $clean_row = array();
+        foreach ($sub_fields as $sub_field) {
+            $value = $row[$sub_field['key']] ?? $row[$sub_field['name']] ?? null;
+            $clean_row[$sub_field['name']] = $this->clean_acf_value($sub_field, $value);
         }
 
-        return rest_ensure_response($enhanced_posts);
+        return $clean_row;
     }
 
     /**
-     * Get pages with enhanced block data
+     * Find a REST-visible post type by its REST base (falls back to its name)
      */
-    public function get_pages_with_blocks($request)
+    private function get_post_type_by_rest_base($rest_base)
     {
+        foreach (get_post_types(array('show_in_rest' => true), 'objects') as $post_type) {
+            if (($post_type->rest_base ?: $post_type->name) === $rest_base) {
+                return $post_type;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get content of a post type with enhanced block data
+     */
+    public function get_content_with_blocks($request)
+    {
+        $post_type = $this->get_post_type_by_rest_base($request->get_param('rest_base'));
+
+        if (!$post_type) {
+            return new WP_Error('unknown_post_type', 'No REST-visible post type with this REST base', array('status' => 404));
+        }
+
         $per_page = $request->get_param('per_page');
         $page = $request->get_param('page');
         $status = $request->get_param('status');
@@ -207,24 +323,60 @@ class WP_Block_Exporter
         // Convert comma-separated statuses to array
         $post_statuses = array_map('trim', explode(',', $status));
 
+        // Hierarchical types (pages) keep their menu order, others are listed newest first
         $args = array(
-            'post_type' => 'page',
+            'post_type' => $post_type->name,
             'post_status' => $post_statuses,
             'posts_per_page' => $per_page,
             'paged' => $page,
-            'orderby' => 'menu_order',
-            'order' => 'ASC'
+            'orderby' => $post_type->hierarchical ? 'menu_order' : 'date',
+            'order' => $post_type->hierarchical ? 'ASC' : 'DESC',
+            // Same results as get_posts(), which counted no rows
+            'suppress_filters' => true,
+            'ignore_sticky_posts' => true
         );
+        $args = $this->add_modified_after_query($args, $request->get_param('modified_after'));
 
-        $posts = get_posts($args);
-        $enhanced_pages = array();
+        $query = new WP_Query($args);
+        $enhanced_posts = array();
 
-        foreach ($posts as $post) {
-            $page_data = $this->prepare_post_for_response($post);
-            $enhanced_pages[] = $page_data;
+        foreach ($query->posts as $post) {
+            $post_data = $this->prepare_post_for_response($post);
+            $enhanced_posts[] = $post_data;
         }
 
-        return rest_ensure_response($enhanced_pages);
+        // Pagination headers, like the core REST API
+        $response = rest_ensure_response($enhanced_posts);
+        $response->header('X-WP-Total', (int) $query->found_posts);
+        $response->header('X-WP-TotalPages', (int) $query->max_num_pages);
+
+        return $response;
+    }
+
+    /**
+     * Limit a query to content modified after a date (incremental exports),
+     * like the core REST API `modified_after` parameter
+     */
+    private function add_modified_after_query($args, $modified_after)
+    {
+        if (empty($modified_after)) {
+            return $args;
+        }
+
+        $timestamp = strtotime($modified_after);
+        if ($timestamp === false) {
+            return $args;
+        }
+
+        $args['date_query'] = array(
+            array(
+                'column' => 'post_modified_gmt',
+                'after' => gmdate('Y-m-d H:i:s', $timestamp),
+                'inclusive' => false
+            )
+        );
+
+        return $args;
     }
 
     /**
@@ -235,7 +387,7 @@ class WP_Block_Exporter
         $content = $post->post_content;
         $parsed_blocks = $this->parse_blocks_from_content($content);
 
-        return array(
+        $data = array(
             'id' => $post->ID,
             'date' => $post->post_date,
             'date_gmt' => $post->post_date_gmt,
@@ -245,6 +397,8 @@ class WP_Block_Exporter
             'status' => $post->post_status,
             'type' => $post->post_type,
             'link' => get_permalink($post->ID),
+            'parent' => $post->post_parent,
+            'menu_order' => $post->menu_order,
             'title' => array(
                 'rendered' => get_the_title($post->ID),
                 'raw' => $post->post_title
@@ -273,6 +427,76 @@ class WP_Block_Exporter
             // Additional metadata
             'categories' => wp_get_post_categories($post->ID),
             'tags' => wp_get_post_tags($post->ID, array('fields' => 'ids')),
+            // Polylang language and translation group (language code => post ID)
+            'lang' => function_exists('pll_get_post_language') ? (pll_get_post_language($post->ID) ?: null) : null,
+            'translations' => function_exists('pll_get_post_translations') ? (object) pll_get_post_translations($post->ID) : new stdClass(),
+            // Advanced Custom Fields values by field name
+            'acf' => $this->get_acf_values($post->ID),
+            // SEO metadata, like the core API with Yoast SEO active
+            'yoast_head_json' => $this->get_yoast_head_json($post->ID),
+            'rank_math' => $this->get_rank_math_meta($post),
+        );
+
+        // Term IDs of every other REST-visible taxonomy, keyed by REST base like the core API
+        foreach (get_object_taxonomies($post->post_type, 'objects') as $taxonomy) {
+            $rest_base = $taxonomy->rest_base ?: $taxonomy->name;
+            if (!$taxonomy->show_in_rest || isset($data[$rest_base])) {
+                continue;
+            }
+            $data[$rest_base] = wp_get_post_terms($post->ID, $taxonomy->name, array('fields' => 'ids'));
+        }
+
+        return $data;
+    }
+
+    /**
+     * Yoast SEO metadata of a post, as in the core API `yoast_head_json`
+     * (title, description, canonical, robots, og_*, twitter_*, schema)
+     */
+    private function get_yoast_head_json($post_id)
+    {
+        if (!function_exists('YoastSEO') || !class_exists('Yoast\WP\SEO\Actions\Indexables\Indexable_Head_Action')) {
+            return null;
+        }
+
+        try {
+            $head = YoastSEO()->classes->get('Yoast\WP\SEO\Actions\Indexables\Indexable_Head_Action')->for_post($post_id);
+            return isset($head->json) ? $head->json : null;
+        } catch (\Throwable $error) {
+            return null;
+        }
+    }
+
+    /**
+     * Rank Math metadata of a post, with its variables (%title%, %sep%...) replaced.
+     * Empty values are the ones left to Rank Math's defaults.
+     */
+    private function get_rank_math_meta($post)
+    {
+        if (!class_exists('RankMath\Helper')) {
+            return null;
+        }
+
+        $meta = function ($key) use ($post) {
+            $value = get_post_meta($post->ID, 'rank_math_' . $key, true);
+            return is_string($value) && $value !== '' ? \RankMath\Helper::replace_vars($value, $post) : $value;
+        };
+        $use_facebook = $meta('twitter_use_facebook') !== 'off';
+
+        return array(
+            'title' => $meta('title'),
+            'description' => $meta('description'),
+            'focus_keyword' => $meta('focus_keyword'),
+            'canonical' => $meta('canonical_url'),
+            // An unset meta is '', which (array) would turn into ['']
+            'robots' => array_values(array_filter((array) get_post_meta($post->ID, 'rank_math_robots', true), 'strlen')),
+            'og_title' => $meta('facebook_title'),
+            'og_description' => $meta('facebook_description'),
+            'og_image' => $meta('facebook_image'),
+            'twitter_card' => $meta('twitter_card_type'),
+            'twitter_title' => $use_facebook ? $meta('facebook_title') : $meta('twitter_title'),
+            'twitter_description' => $use_facebook ? $meta('facebook_description') : $meta('twitter_description'),
+            'twitter_image' => $use_facebook ? $meta('facebook_image') : $meta('twitter_image'),
         );
     }
 